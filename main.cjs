@@ -15,38 +15,717 @@ const fs = require('fs').promises;
 const path = require('path');
 const sharp = require('sharp');
 const crypto = require('crypto');
+const os = require('os');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const {
+	Worker,
+	isMainThread,
+	parentPort,
+	workerData,
+} = require('worker_threads');
 // const Jimp = require('jimp');
 
 const defaultTileSize = 8;
 const defaultOutputWidth = 1024; // Default output image width in pixels
 const defaultZoomSteps = 24;
 const defaultZoomFactor = 0.88;
+const defaultColorMetric = 'rgb';
+const defaultTileFit = 'cover';
+const defaultTileCrop = 'center';
+const defaultSignatureGrid = 1; // 1 = match on a single average color per tile
+const defaultJobs = os.cpus().length; // Worker threads used to analyze tiles
+const checkpointIntervalMs = 30000; // How often tile analysis is checkpointed
+const defaultBlendMode = 'mean';
+const defaultDiskCacheDir = '.tile_cache';
+
+const blendModes = ['mean', 'multiply', 'reinhard'];
+const blendSampleScale = 4; // Input pixels per cell side sampled for reinhard statistics
+const defaultOverlayMode = 'normal';
+const defaultDetailThreshold = 24; // Luminance std-dev above which adaptive cells split
+
+const overlayModes = ['normal', 'soft-light', 'luminosity'];
+
+const colorMetrics = ['rgb', 'lab76', 'lab2000', 'redmean'];
+const tileFits = ['cover', 'contain', 'fill'];
+const tileCrops = ['center', 'attention', 'entropy']; // Crop strategies for cover
+
+const layouts = ['square', 'rect', 'brick', 'hex'];
+const defaultLayout = 'square';
+const defaultTileAspect = 4 / 3; // Width / height of rect and brick tiles
+
+const augmentModes = ['flip', 'rotate90']; // Tile variants indexed by --augment
+
+const tileIndexFormats = ['csv', 'jsonl'];
+const defaultTileIndexFormat = 'csv';
+const tileIndexVersion = 2;
+const minTilePyramidLevel = 8; // Smallest tile pyramid level, in pixels
+const streamingMinBytes = 256 * 1024 * 1024; // Larger outputs are composited in strips
+const stripMaxBytes = 64 * 1024 * 1024; // Size of each streamed strip
+const diskWriteBatchBytes = 64 * 1024 * 1024; // Queued tile buffers written to the disk cache at once
+const atlasCopyChunkBytes = 16 * 1024 * 1024; // Buffers copied at once when compacting an atlas
+const outputFormats = ['png', 'jpeg', 'webp', 'avif', 'tiff']; // Encoders for --format
+const outputFormatAliases = { jpg: 'jpeg', tif: 'tiff' };
+const outputEffortRanges = { png: [0, 9], webp: [0, 6], avif: [0, 9] }; // --effort per encoder
+const exportFormats = ['dzi', 'iiif', 'html']; // Tile pyramids or viewer page written by --export
+const exportTileSize = 256; // Edge of exported pyramid tiles
+const defaultExportCellSize = 256; // Tile width at the deepest exported level
+const htmlPreviewSize = 320; // Edge of the tile photo previews embedded by --export html
+const htmlImageFormats = ['jpeg', 'png', 'webp', 'avif']; // Encoders browsers display
+const pngSignature = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const deflateAsync = promisify(zlib.deflate);
+const tileAtlasVersion = 1; // Layout of the .atlas.json tile buffer cache indexes
+const manifestVersion = 2; // Layout of --manifest files
+const reportVersion = 1; // Layout of --report files
+const reportSsimCellPixels = 4; // Pixels per tile when comparing the mosaic with the input
+const heatmapCellPixels = 8; // Pixels per tile in --report heatmaps
+const heatmapMaxDeltaE = 30; // Color error (CIEDE2000) drawn at the hot end of heatmaps
+const reportMostUsedTiles = 10; // Tiles listed in the report's reuse statistics
+const tileIndexColumns = [
+	'path',
+	'r',
+	'g',
+	'b',
+	'labL',
+	'labA',
+	'labB',
+	'signature',
+	'fileSize',
+	'mtime',
+	'hash',
+	'corrupt',
+];
+const variantNeighbourDistance = 1.5; // Cells closer than this count as neighbours
 
 const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
 
+// Candidates fetched from the tile index and re-ranked for metrics that
+// aren't plain euclidean distances in the indexed space (redmean, lab2000)
+const approximateMatchCandidates = 16;
+
+const assignmentModes = ['greedy', 'optimal'];
+const refineCandidates = 16; // Nearest tiles each cell tries during refinement
+const maxRefinePasses = 20;
+
+// k-d tree over tile color features for nearest-neighbour lookup. Tiles can be
+// removed (corrupted, or consumed under --no-reuse) without rebuilding the tree
+class TileIndex {
+	constructor(tiles, getFeatures) {
+		this.tiles = tiles;
+		this.size = tiles.length;
+		this.dimensions = this.size > 0 ? getFeatures(tiles[0]).length : 0;
+		this.features = new Float32Array(this.size * this.dimensions);
+		tiles.forEach((tile, i) =>
+			this.features.set(getFeatures(tile), i * this.dimensions)
+		);
+
+		// The tree is implicit: the node for range [lo, hi) sits at its midpoint in
+		// `order`, with the left subtree in [lo, mid) and the right in [mid + 1, hi)
+		this.order = Int32Array.from({ length: this.size }, (_, i) => i);
+		this.axes = new Uint8Array(this.size);
+		this.liveCounts = new Int32Array(this.size); // Live tiles per subtree
+		this.removed = new Uint8Array(this.size);
+		this.build(0, this.size);
+
+		this.positions = new Map(); // Map<tilePath, position in order>
+		this.order.forEach((tileIndex, position) =>
+			this.positions.set(tiles[tileIndex].path, position)
+		);
+	}
+
+	get liveCount() {
+		return this.size > 0 ? this.liveCounts[this.size >> 1] : 0;
+	}
+
+	value(position, axis) {
+		return this.features[this.order[position] * this.dimensions + axis];
+	}
+
+	build(lo, hi) {
+		if (lo >= hi) return;
+		const mid = (lo + hi) >> 1;
+
+		// Split on the axis with the widest spread (sampled for large ranges)
+		const step = Math.max(1, Math.floor((hi - lo) / 256));
+		let axis = 0;
+		let bestSpread = -1;
+		for (let d = 0; d < this.dimensions; d++) {
+			let min = Infinity;
+			let max = -Infinity;
+			for (let i = lo; i < hi; i += step) {
+				const value = this.value(i, d);
+				if (value < min) min = value;
+				if (value > max) max = value;
+			}
+			if (max - min > bestSpread) {
+				bestSpread = max - min;
+				axis = d;
+			}
+		}
+
+		this.select(lo, hi - 1, mid, axis);
+		this.axes[mid] = axis;
+		this.liveCounts[mid] = hi - lo;
+		this.build(lo, mid);
+		this.build(mid + 1, hi);
+	}
+
+	// Partially sort order[left..right] so position k holds the median on axis
+	select(left, right, k, axis) {
+		while (right > left) {
+			const pivot = this.value((left + right) >> 1, axis);
+			let i = left;
+			let j = right;
+			while (i <= j) {
+				while (this.value(i, axis) < pivot) i++;
+				while (this.value(j, axis) > pivot) j--;
+				if (i <= j) {
+					const swap = this.order[i];
+					this.order[i] = this.order[j];
+					this.order[j] = swap;
+					i++;
+					j--;
+				}
+			}
+			if (k <= j) right = j;
+			else if (k >= i) left = i;
+			else break;
+		}
+	}
+
+	// Find the k live tiles closest to the target features, nearest first
+	nearest(target, k = 1) {
+		const best = []; // Sorted [{ position, distance }]
+
+		const search = (lo, hi) => {
+			if (lo >= hi) return;
+			const mid = (lo + hi) >> 1;
+			if (this.liveCounts[mid] === 0) return;
+
+			if (!this.removed[mid]) {
+				const offset = this.order[mid] * this.dimensions;
+				let distance = 0;
+				for (let d = 0; d < this.dimensions; d++) {
+					const diff = target[d] - this.features[offset + d];
+					distance += diff * diff;
+				}
+				if (best.length < k || distance < best[best.length - 1].distance) {
+					let i = best.length;
+					while (i > 0 && best[i - 1].distance > distance) i--;
+					best.splice(i, 0, { position: mid, distance });
+					if (best.length > k) best.pop();
+				}
+			}
+
+			const axis = this.axes[mid];
+			const diff = target[axis] - this.value(mid, axis);
+			const [nearLo, nearHi, farLo, farHi] =
+				diff < 0 ? [lo, mid, mid + 1, hi] : [mid + 1, hi, lo, mid];
+			search(nearLo, nearHi);
+			if (best.length < k || diff * diff < best[best.length - 1].distance) {
+				search(farLo, farHi);
+			}
+		};
+
+		search(0, this.size);
+		return best.map(({ position }) => this.tiles[this.order[position]]);
+	}
+
+	// Remove a tile from future searches; returns false if it wasn't live
+	remove(tile) {
+		const position = this.positions.get(tile.path);
+		if (position === undefined || this.removed[position]) return false;
+
+		this.removed[position] = 1;
+		let lo = 0;
+		let hi = this.size;
+		while (lo < hi) {
+			const mid = (lo + hi) >> 1;
+			this.liveCounts[mid]--;
+			if (position === mid) break;
+			if (position < mid) hi = mid;
+			else lo = mid + 1;
+		}
+		return true;
+	}
+}
+
+// Writes a PNG one strip of rows at a time, so the image never has to be held
+// in memory. Rows are Paeth filtered and deflated into one IDAT chunk per strip
+class PngStripWriter {
+	constructor(filePath, width, height, compressionLevel = 6) {
+		this.filePath = filePath;
+		this.width = width;
+		this.height = height;
+		this.compressionLevel = compressionLevel;
+	}
+
+	async open() {
+		this.file = await fs.open(this.filePath, 'w');
+		const header = Buffer.alloc(13);
+		header.writeUInt32BE(this.width, 0);
+		header.writeUInt32BE(this.height, 4);
+		header[8] = 8; // Bits per channel
+		header[9] = 2; // RGB
+		await this.file.write(
+			Buffer.concat([pngSignature, getPngChunk('IHDR', header)])
+		);
+
+		this.deflate = zlib.createDeflate({ level: this.compressionLevel });
+		this.compressed = [];
+		this.deflate.on('data', (chunk) => this.compressed.push(chunk));
+		this.previousRow = Buffer.alloc(this.width * 3);
+	}
+
+	async write(strip) {
+		const rowBytes = this.width * 3;
+		const rows = strip.length / rowBytes;
+		const filtered = Buffer.alloc(rows * (rowBytes + 1));
+		for (let y = 0; y < rows; y++) {
+			const row = strip.subarray(y * rowBytes, (y + 1) * rowBytes);
+			const above = this.previousRow;
+			const out = y * (rowBytes + 1);
+			filtered[out] = 4; // Paeth
+			for (let i = 0; i < rowBytes; i++) {
+				const left = i >= 3 ? row[i - 3] : 0;
+				const upperLeft = i >= 3 ? above[i - 3] : 0;
+				filtered[out + 1 + i] =
+					row[i] - paethPredictor(left, above[i], upperLeft);
+			}
+			this.previousRow = row;
+		}
+		this.deflate.write(filtered);
+		await new Promise((resolve) =>
+			this.deflate.flush(zlib.constants.Z_SYNC_FLUSH, resolve)
+		);
+		// The strip may be reused once written
+		this.previousRow = Buffer.from(this.previousRow);
+		await this.writeCompressed();
+	}
+
+	async writeCompressed() {
+		if (this.compressed.length === 0) return;
+		const data = Buffer.concat(this.compressed);
+		this.compressed = [];
+		await this.file.write(getPngChunk('IDAT', data));
+	}
+
+	async close() {
+		const ended = new Promise((resolve) => this.deflate.on('end', resolve));
+		this.deflate.end();
+		await ended;
+		await this.writeCompressed();
+		await this.file.write(getPngChunk('IEND', Buffer.alloc(0)));
+		await this.file.close();
+	}
+}
+
+// Writes a TIFF one strip at a time: each strip is deflated with horizontal
+// differencing and appended, and the directory listing the strips is written
+// last, with the header patched to point at it. BigTIFF uses 64-bit offsets,
+// for files over 4 GB
+class TiffStripWriter {
+	constructor(filePath, width, height, bigTiff = false) {
+		this.filePath = filePath;
+		this.width = width;
+		this.height = height;
+		this.bigTiff = bigTiff;
+	}
+
+	async open() {
+		this.file = await fs.open(this.filePath, 'w');
+		// Little endian, then the version and (for BigTIFF) the offset size
+		// and the directory offset, patched by close()
+		const header = this.bigTiff
+			? Buffer.from([0x49, 0x49, 43, 0, 8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0])
+			: Buffer.from([0x49, 0x49, 42, 0, 0, 0, 0, 0]);
+		await this.file.write(header);
+		this.offset = header.length;
+		this.strips = [];
+		this.rowsPerStrip = 0;
+	}
+
+	async write(strip) {
+		const rowBytes = this.width * 3;
+		const rows = strip.length / rowBytes;
+		this.rowsPerStrip = this.rowsPerStrip || rows;
+
+		const differenced = Buffer.from(strip);
+		for (let y = 0; y < rows; y++) {
+			const start = y * rowBytes;
+			for (let i = start + rowBytes - 1; i >= start + 3; i--) {
+				differenced[i] -= differenced[i - 3];
+			}
+		}
+		const data = await deflateAsync(differenced);
+		if (!this.bigTiff && this.offset + data.length > 0xffffffff) {
+			throw new Error('TIFF output is larger than 4 GB, use --bigtiff');
+		}
+		await this.file.write(data, 0, data.length, this.offset);
+		this.strips.push({ offset: this.offset, length: data.length });
+		this.offset += data.length;
+	}
+
+	async close() {
+		const count = this.strips.length;
+		// Offsets and counts are LONG, or LONG8 in BigTIFF
+		const offsetType = this.bigTiff ? 16 : 4;
+		const offsetSize = this.bigTiff ? 8 : 4;
+		const countSize = this.bigTiff ? 8 : 2;
+		const entrySize = this.bigTiff ? 20 : 12;
+		const writeOffset = (buffer, value, at) =>
+			this.bigTiff
+				? buffer.writeBigUInt64LE(BigInt(value), at)
+				: buffer.writeUInt32LE(value, at);
+
+		// Directory after the strips, on a word boundary, followed by the
+		// values that don't fit in its entries
+		const ifdOffset = this.offset + (this.offset % 2);
+		const entries = [
+			[256, 4, 1, this.width], // ImageWidth
+			[257, 4, 1, this.height], // ImageLength
+			[258, 3, 3, null], // BitsPerSample
+			[259, 3, 1, 8], // Compression: deflate
+			[262, 3, 1, 2], // PhotometricInterpretation: RGB
+			[273, offsetType, count, null], // StripOffsets
+			[277, 3, 1, 3], // SamplesPerPixel
+			[278, 4, 1, this.rowsPerStrip], // RowsPerStrip
+			[279, offsetType, count, null], // StripByteCounts
+			[284, 3, 1, 1], // PlanarConfiguration: chunky
+			[317, 3, 1, 2], // Predictor: horizontal differencing
+		];
+		const ifdLength = countSize + entries.length * entrySize + offsetSize;
+		const extra = [];
+		let extraOffset = ifdOffset + ifdLength;
+		const addExtra = (buffer) => {
+			extra.push(buffer);
+			extraOffset += buffer.length;
+			return extraOffset - buffer.length;
+		};
+
+		const ifd = Buffer.alloc(ifdLength);
+		if (this.bigTiff) {
+			ifd.writeBigUInt64LE(BigInt(entries.length), 0);
+		} else {
+			ifd.writeUInt16LE(entries.length, 0);
+		}
+		entries.forEach(([tag, type, valueCount, value], i) => {
+			const entry = countSize + i * entrySize;
+			const valueAt = entry + 4 + offsetSize;
+			ifd.writeUInt16LE(tag, entry);
+			ifd.writeUInt16LE(type, entry + 2);
+			writeOffset(ifd, valueCount, entry + 4);
+			if (tag === 258) {
+				const bits = Buffer.alloc(6);
+				[0, 2, 4].forEach((at) => bits.writeUInt16LE(8, at));
+				if (this.bigTiff) {
+					bits.copy(ifd, valueAt);
+				} else {
+					ifd.writeUInt32LE(addExtra(bits), valueAt);
+				}
+			} else if (tag === 273 || tag === 279) {
+				const values = this.strips.map(({ offset, length }) =>
+					tag === 273 ? offset : length
+				);
+				if (count === 1) {
+					writeOffset(ifd, values[0], valueAt);
+				} else {
+					const list = Buffer.alloc(count * offsetSize);
+					values.forEach((v, s) => writeOffset(list, v, s * offsetSize));
+					writeOffset(ifd, addExtra(list), valueAt);
+				}
+			} else if (type === 3) {
+				ifd.writeUInt16LE(value, valueAt);
+			} else {
+				ifd.writeUInt32LE(value, valueAt);
+			}
+		});
+		if (!this.bigTiff && extraOffset > 0xffffffff) {
+			throw new Error('TIFF output is larger than 4 GB, use --bigtiff');
+		}
+
+		const trailer = Buffer.concat([ifd, ...extra]);
+		await this.file.write(trailer, 0, trailer.length, ifdOffset);
+		const headerOffset = Buffer.alloc(offsetSize);
+		writeOffset(headerOffset, ifdOffset, 0);
+		await this.file.write(headerOffset, 0, offsetSize, this.bigTiff ? 8 : 4);
+		await this.file.close();
+	}
+}
+
+// Writes a Deep Zoom (DZI) or IIIF level 0 tile pyramid from strips of its
+// full-resolution image. Each level only keeps the rows of the tile row it is
+// filling; finished tile rows are saved as tiles and halved into the next
+// level, so the whole pyramid is built in one pass with bounded memory
+class TilePyramidWriter {
+	constructor(
+		outputPath,
+		width,
+		height,
+		{ format, tileSize, baseUrl, tileFormat, encode }
+	) {
+		const { dir, name } = path.parse(outputPath);
+		this.format = format;
+		this.width = width;
+		this.height = height;
+		this.tileSize = tileSize;
+		this.tileFormat = tileFormat;
+		this.encode = encode; // Applies the tile encoder to a sharp pipeline
+		if (format === 'dzi') {
+			this.descriptorPath = path.join(dir, `${name}.dzi`);
+			this.tileDir = path.join(dir, `${name}_files`);
+		} else {
+			this.tileDir = path.join(dir, name);
+			this.descriptorPath = path.join(this.tileDir, 'info.json');
+			this.baseUrl = baseUrl || name;
+		}
+	}
+
+	async open() {
+		// DZI levels halve down to a single pixel, IIIF scale factors only
+		// until the image fits in one tile
+		const levelCount =
+			this.format === 'dzi'
+				? Math.ceil(Math.log2(Math.max(this.width, this.height))) + 1
+				: Math.max(
+						0,
+						Math.ceil(
+							Math.log2(Math.max(this.width, this.height) / this.tileSize)
+						)
+				  ) + 1;
+		this.levels = [];
+		for (let k = 0; k < levelCount; k++) {
+			this.levels.push({
+				width: Math.ceil(this.width / 2 ** k),
+				height: Math.ceil(this.height / 2 ** k),
+				rows: [], // Strips not yet saved as tiles
+				rowCount: 0,
+				top: 0, // Level row of rows[0]
+			});
+			if (this.format === 'dzi') {
+				await fs.mkdir(path.join(this.tileDir, `${levelCount - 1 - k}`), {
+					recursive: true,
+				});
+			}
+		}
+		await fs.mkdir(this.tileDir, { recursive: true });
+	}
+
+	async write(strip) {
+		await this.addRows(0, strip);
+	}
+
+	async addRows(k, data) {
+		const level = this.levels[k];
+		level.rows.push(data);
+		level.rowCount += data.length / (level.width * 3);
+		while (level.rowCount >= this.tileSize) {
+			await this.saveTileRow(k, this.tileSize);
+		}
+	}
+
+	// Save the first `rows` rows of a level as a row of tiles and pass them on
+	// halved to the next level. Tile rows are an even number of rows except at
+	// the bottom, so halving never has to pair rows of different tile rows
+	async saveTileRow(k, rows) {
+		const level = this.levels[k];
+		const pending = Buffer.concat(level.rows);
+		const rowBytes = level.width * 3;
+		const data = pending.subarray(0, rows * rowBytes);
+		level.rows =
+			pending.length > data.length ? [pending.subarray(data.length)] : [];
+		level.rowCount -= rows;
+
+		const tileRow = level.top / this.tileSize;
+		const saves = [];
+		for (let left = 0; left < level.width; left += this.tileSize) {
+			const width = Math.min(this.tileSize, level.width - left);
+			const tile = Buffer.alloc(width * rows * 3);
+			for (let y = 0; y < rows; y++) {
+				data.copy(
+					tile,
+					y * width * 3,
+					y * rowBytes + left * 3,
+					y * rowBytes + (left + width) * 3
+				);
+			}
+			saves.push(
+				this.saveTile(
+					tile,
+					width,
+					rows,
+					this.getTilePaths(k, left / this.tileSize, tileRow, width, rows)
+				)
+			);
+		}
+		await Promise.all(saves);
+		level.top += rows;
+
+		if (k + 1 < this.levels.length) {
+			await this.addRows(k + 1, halveImage(data, level.width, rows));
+		}
+	}
+
+	// Encode a tile to the first of `tilePaths` and copy it to the others
+	async saveTile(data, width, height, tilePaths) {
+		if (this.format === 'iiif') {
+			for (const tilePath of tilePaths) {
+				await fs.mkdir(path.dirname(tilePath), { recursive: true });
+			}
+		}
+		await this.encode(
+			sharp(data, { raw: { width, height, channels: 3 } })
+		).toFile(tilePaths[0]);
+		for (const tilePath of tilePaths.slice(1)) {
+			await fs.copyFile(tilePaths[0], tilePath);
+		}
+	}
+
+	// Paths of a tile: `<level>/<col>_<row>` below the DZI's _files directory,
+	// or the IIIF `<region>/<size>/0/default` of its full-resolution region.
+	// The tile of the level that fits in one tile is also the IIIF `full`
+	// region, which is what viewers request for it (as in libvips' layout)
+	getTilePaths(k, col, row, width, height) {
+		const extension = getFormatExtension(this.tileFormat);
+		if (this.format === 'dzi') {
+			return [
+				path.join(
+					this.tileDir,
+					`${this.levels.length - 1 - k}`,
+					`${col}_${row}.${extension}`
+				),
+			];
+		}
+		const span = this.tileSize * 2 ** k;
+		const x = col * span;
+		const y = row * span;
+		const regionWidth = Math.min(span, this.width - x);
+		const regionHeight = Math.min(span, this.height - y);
+		const regions = [`${x},${y},${regionWidth},${regionHeight}`];
+		if (regionWidth === this.width && regionHeight === this.height) {
+			regions.push('full');
+		}
+		return regions.map((region) =>
+			path.join(
+				this.tileDir,
+				region,
+				`${width},${height}`,
+				'0',
+				`default.${extension}`
+			)
+		);
+	}
+
+	async close() {
+		// Save the partial bottom tile row of each level, which also completes
+		// the levels below it
+		for (let k = 0; k < this.levels.length; k++) {
+			if (this.levels[k].rowCount > 0) {
+				await this.saveTileRow(k, this.levels[k].rowCount);
+			}
+		}
+
+		if (this.format === 'dzi') {
+			await fs.writeFile(
+				this.descriptorPath,
+				'<?xml version="1.0" encoding="UTF-8"?>\n' +
+					`<Image xmlns="http://schemas.microsoft.com/deepzoom/2008" Format="${getFormatExtension(
+						this.tileFormat
+					)}" Overlap="0" TileSize="${this.tileSize}">\n` +
+					`  <Size Width="${this.width}" Height="${this.height}"/>\n` +
+					'</Image>\n'
+			);
+			return;
+		}
+
+		const info = {
+			'@context': 'http://iiif.io/api/image/3/context.json',
+			id: this.baseUrl,
+			type: 'ImageService3',
+			protocol: 'http://iiif.io/api/image',
+			profile: 'level0',
+			width: this.width,
+			height: this.height,
+			tiles: [
+				{
+					width: this.tileSize,
+					height: this.tileSize,
+					scaleFactors: this.levels.map((level, k) => 2 ** k),
+				},
+			],
+		};
+		if (this.tileFormat !== 'jpeg') {
+			const extension = getFormatExtension(this.tileFormat);
+			info.preferredFormats = [extension];
+			info.extraFormats = [extension];
+		}
+		await fs.writeFile(this.descriptorPath, JSON.stringify(info, null, 2));
+	}
+}
+
 class MosaicGenerator {
 	constructor() {
 		this.tileCache = new Map();
 		this.tileSize = defaultTileSize; // Size of each mosaic tile
 		this.corruptedTiles = new Set(); // Track corrupted tiles to avoid reusing them
-		this.tileBufferCache = new Map(); // Map<tilePath_size, Buffer>
+		this.tileBufferCache = new Map(); // Map<tilePath_size, Buffer>, least recently used first
+		this.tileBufferCacheBytes = 0; // Bytes held by tileBufferCache and tilePyramids
+		this.tilePyramids = new Map(); // Map<tilePath_fit, pyramid> (see buildTilePyramid)
+		this.tilePyramidBuilds = new Map(); // Map<tilePath_fit, Promise<pyramid>> in progress
+		this.tilePyramidScale = 0; // Largest tile requested / tileSize, to build pyramids for (0 = resize each size from the photo)
+		this.memoryCacheMaxBytes = 0; // tileBufferCache budget (0 = unlimited)
 		this.diskCacheDir = null; // Will be set when generating mosaic
-		this.writeQueue = []; // Queue for pending disk writes
-		this.activeWrites = 0; // Track active write operations
-		this.maxConcurrentWrites = 5; // Conservative limit to prevent file handle exhaustion
+		this.diskCacheMaxBytes = 0; // Disk cache budget, least recently used evicted (0 = unlimited)
+		this.diskCacheMaxAgeHours = 0; // Prune cached buffers unused for this long (0 = never)
+		this.tileAtlases = new Map(); // Map<sizeKey, atlas> (see getTileAtlas)
+		this.diskWrites = null; // Promise of the flushDiskWrites in progress
+		this.colorMetric = defaultColorMetric; // Color distance used by findBestTile
+		this.tileFit = defaultTileFit; // How tile photos are fitted into square tiles
+		this.tileCrop = defaultTileCrop; // Which part of the photo cover keeps
+		this.tileHeight = null; // Tile height of non-square layouts (tileSize if null)
+		this.tileMask = null; // Pixels of a tile inside its cell, for hex layouts
+		this.tileVariants = ['']; // Transformed variants of each photo (see getTileVariants)
+		this.tileFileStats = null; // Map<file, { size, mtime, hash }> from the last scan
+		this.hashTiles = false; // Compare content hashes of files whose stats changed
+		this.signatureGrid = defaultSignatureGrid; // NxN sub-grid colors per tile
+		this.signatureInput = null; // Input image sampled at signatureGrid x mosaic resolution
+		this.tileIndex = null; // TileIndex over the current tile set
+		this.blend = 0; // How far placed tiles are shifted toward the cell color (0-1)
+		this.blendMode = defaultBlendMode;
+		this.blendSampleInput = null; // Input sampled at blendSampleScale x mosaic resolution
+		this.overlay = 0; // Opacity of the input image composited over the mosaic
+		this.overlayMode = defaultOverlayMode;
+		this.streamOutput = false; // Composite every output in strips (see writeStreamedImage)
+		this.exportFormat = null; // dzi or iiif to write a tile pyramid instead of an image
+		this.exportCellSize = null; // Exported tile width (defaultExportCellSize, or the tile size for html, if null)
+		this.exportBaseUrl = null; // IIIF image id (the output name if null)
+		this.manifestPath = null; // JSON file describing every cell (see getManifest)
+		this.lastManifest = null; // Manifest of the last mosaic, for its zoom frames
+		this.reportPath = null; // JSON quality report written after each mosaic (see reportQuality)
+		// Output encoder (see getOutputFormat and encodeImage); null settings
+		// keep the encoder's defaults
+		this.outputOptions = {
+			format: null,
+			quality: null,
+			effort: null,
+			lossless: false,
+			bigTiff: false,
+		};
 		// Cache statistics
 		this.cacheStats = {
 			memoryHits: 0,
+			memoryMisses: 0,
+			memoryEvictions: 0,
 			diskHits: 0,
 			cacheMisses: 0,
+			tileDecodes: 0,
 			totalRequests: 0,
 		};
 	}
 
-	// Initialize disk cache directory
-	async initializeDiskCache(tilesDirectory) {
-		// this.diskCacheDir = path.join(tilesDirectory, '.tile_cache');
-		this.diskCacheDir = '.tile_cache';
+	// Initialize disk cache directory, pruning it to its age and size limits
+	async initializeDiskCache(tilesDirectory, cacheDir = defaultDiskCacheDir) {
+		this.diskCacheDir = cacheDir;
 		try {
 			await fs.mkdir(this.diskCacheDir, { recursive: true });
 			console.log('Disk cache initialized: ' + this.diskCacheDir);
@@ -54,195 +733,669 @@ class MosaicGenerator {
 			console.warn(`Could not create disk cache directory: ${error.message}`);
 			this.diskCacheDir = null;
 		}
+		await this.migrateDiskCacheFiles();
+		await this.maintainDiskCache();
 	}
 
-	// Generate disk cache filename for a tile
-	getDiskCacheFilename(tilePath, tileSize) {
-		if (!this.diskCacheDir) return null;
+	// Suffix identifying how tiles are fitted, part of every tile cache key.
+	// Empty for the default so existing caches stay valid
+	getTileFitKey() {
+		if (this.tileFit === defaultTileFit && this.tileCrop === defaultTileCrop) {
+			return '';
+		}
+		return this.tileFit === 'cover'
+			? `_${this.tileFit}-${this.tileCrop}`
+			: `_${this.tileFit}`;
+	}
 
-		// Create a safe filename from the tile path and size
-		const hash = crypto
-			.createHash('md5')
-			.update(tilePath + '_' + tileSize)
-			.digest('hex');
-		return path.join(this.diskCacheDir, `${hash}_${tileSize}.cache`);
+	// Suffix identifying the tile shape of non-square layouts, part of the tile
+	// color cache file name since the shape decides which pixels are averaged
+	getTileShapeKey() {
+		if (!this.tileHeight) {
+			return '';
+		}
+		return this.tileMask
+			? '_hex'
+			: `_rect-${(this.tileSize / this.tileHeight).toFixed(3)}`;
 	}
 
-	// Load tile buffer from disk cache
-	async loadTileBufferFromDisk(tilePath, tileSize) {
-		const cacheFilename = this.getDiskCacheFilename(tilePath, tileSize);
-		if (!cacheFilename) return null;
+	// Load a tile photo fitted into a tileSize x tileHeight rectangle, mirrored
+	// and rotated first for --augment variants
+	resizeTile(tilePath, tileSize, tileHeight = tileSize) {
+		const { file, variant } = splitTileVariant(tilePath);
+		let image = sharp(file);
+		const rotation = variant.match(/r(\d+)$/);
+		if (rotation) {
+			image = image.rotate(parseInt(rotation[1]));
+		}
+		if (variant.startsWith('flip')) {
+			image = image.flop();
+		}
 
-		try {
-			const buffer = await fs.readFile(cacheFilename);
-			return buffer;
-		} catch (error) {
-			// Cache miss or error reading cache file
-			return null;
+		const options = { fit: this.tileFit };
+		if (this.tileFit === 'cover' && this.tileCrop !== 'center') {
+			options.position = sharp.strategy[this.tileCrop];
+		}
+		if (this.tileFit === 'contain') {
+			options.background = { r: 0, g: 0, b: 0 };
 		}
+		return image.resize(tileSize, tileHeight, options).removeAlpha();
 	}
 
-	// Queue tile buffer for disk write (non-blocking)
-	queueTileBufferForDisk(tilePath, tileSize, buffer) {
-		const cacheFilename = this.getDiskCacheFilename(tilePath, tileSize);
-		if (!cacheFilename) return;
+	// Key of a tile buffer inside its size's atlas: a hash of the tile path,
+	// size and fit (the name of the per-tile cache files of older releases),
+	// plus the photo's size and modification time from the last scan, so a
+	// changed photo never gets the buffers of its old pixels
+	getDiskCacheKey(tilePath, tileSize, tileHeight = tileSize) {
+		const sizeKey = getTileSizeKey(tileSize, tileHeight);
+		const { file } = splitTileVariant(tilePath);
+		const stat = this.tileFileStats && this.tileFileStats.get(file);
+		const stamp = stat ? `_${stat.size}_${stat.mtime}` : '';
+		return crypto
+			.createHash('md5')
+			.update(tilePath + '_' + sizeKey + this.getTileFitKey() + stamp)
+			.digest('hex');
+	}
 
-		// Add to write queue
-		this.writeQueue.push({ cacheFilename, buffer });
+	// Atlas holding the cached buffers of one tile size: a data file of packed
+	// raw buffers, each width x height x 3 bytes, and a JSON index of their
+	// offsets and last use. Buffers are appended to the data file, so offsets
+	// stay valid until the atlas is compacted by maintainDiskCache
+	getTileAtlas(sizeKey) {
+		if (!this.diskCacheDir) return null;
 
-		// Process queue if not at capacity
-		this.processWriteQueue();
+		let atlas = this.tileAtlases.get(sizeKey);
+		if (!atlas) {
+			const [width, height = width] = sizeKey.split('x').map(Number);
+			const dataPath = path.join(this.diskCacheDir, `${sizeKey}.atlas`);
+			atlas = {
+				sizeKey,
+				width,
+				height,
+				stride: width * height * 3,
+				dataPath,
+				indexPath: `${dataPath}.json`,
+				entries: new Map(), // Map<key, { offset, used }>
+				dataLength: 0, // Bytes in the data file, including orphaned ones
+				data: null, // Data file contents, once read
+				dataReady: null,
+				pending: new Map(), // Map<key, { buffer, used }> not yet written
+				dirty: false, // Index changed since it was written
+			};
+			atlas.ready = this.loadTileAtlasIndex(atlas);
+			this.tileAtlases.set(sizeKey, atlas);
+		}
+		return atlas;
 	}
 
-	// Process the write queue with concurrency control
-	async processWriteQueue() {
-		// Don't start new writes if at capacity or queue is empty
+	// Read an atlas index, dropping entries past the end of the data file (an
+	// interrupted compaction or a truncated copy)
+	async loadTileAtlasIndex(atlas) {
+		let index;
+		try {
+			index = JSON.parse(await fs.readFile(atlas.indexPath, 'utf-8'));
+			atlas.dataLength = (await fs.stat(atlas.dataPath)).size;
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				console.warn(
+					`Could not read tile atlas ${atlas.indexPath}: ${error.message}`
+				);
+			}
+			atlas.dataLength = 0;
+			return;
+		}
 		if (
-			this.activeWrites >= this.maxConcurrentWrites ||
-			this.writeQueue.length === 0
+			index.version !== tileAtlasVersion ||
+			index.width !== atlas.width ||
+			index.height !== atlas.height
 		) {
+			console.warn(`Ignoring incompatible tile atlas ${atlas.indexPath}`);
 			return;
 		}
+		for (const [key, [offset, used]] of Object.entries(index.entries)) {
+			if (offset + atlas.stride <= atlas.dataLength) {
+				atlas.entries.set(key, { offset, used });
+			} else {
+				atlas.dirty = true;
+			}
+		}
+	}
 
-		const writeTask = this.writeQueue.shift();
-		if (!writeTask) return;
-
-		this.activeWrites++;
+	// Read one buffer from an atlas. Without a memory budget the whole data
+	// file is read once and buffers are views into it; with one, each buffer is
+	// read on its own so the atlas isn't held in memory
+	async readTileAtlasEntry(atlas, { offset }) {
+		if (!atlas.dataReady && !this.memoryCacheMaxBytes) {
+			atlas.dataReady = fs.readFile(atlas.dataPath).then(
+				(data) => (atlas.data = data),
+				() => null
+			);
+		}
+		await atlas.dataReady;
+		if (atlas.data && offset + atlas.stride <= atlas.data.length) {
+			return atlas.data.subarray(offset, offset + atlas.stride);
+		}
 
+		// Appended after the data file was read
+		const handle = await fs.open(atlas.dataPath, 'r');
 		try {
-			await fs.writeFile(writeTask.cacheFilename, writeTask.buffer);
-		} catch (error) {
-			// Only log EMFILE errors differently to reduce noise
-			if (error.code === 'EMFILE') {
-				console.warn('Too many open files - reducing concurrent writes');
-				this.maxConcurrentWrites = Math.max(2, this.maxConcurrentWrites - 2);
-			} else {
-				console.warn(`Could not save tile buffer to disk: ${error.message}`);
+			const buffer = Buffer.alloc(atlas.stride);
+			const { bytesRead } = await handle.read(buffer, 0, atlas.stride, offset);
+			if (bytesRead !== atlas.stride) {
+				throw new Error(`Truncated tile atlas ${atlas.dataPath}`);
 			}
+			return buffer;
 		} finally {
-			this.activeWrites--;
-			// Process next item in queue
-			setImmediate(() => this.processWriteQueue());
+			await handle.close();
 		}
 	}
 
-	// Wait for all pending disk writes to complete
-	async flushDiskWrites() {
-		while (this.writeQueue.length > 0 || this.activeWrites > 0) {
-			await new Promise((resolve) => setTimeout(resolve, 100));
-		}
-	}
-
-	// // Clean up old cache files (optional - call periodically)
-	// async cleanupDiskCache(maxAgeHours = 24) {
-	// 	if (!this.diskCacheDir) return;
-
-	// 	try {
-	// 		const files = await fs.readdir(this.diskCacheDir);
-	// 		const cutoffTime = Date.now() - maxAgeHours * 60 * 60 * 1000;
-	// 		let cleanedCount = 0;
-
-	// 		for (const file of files) {
-	// 			if (!file.endsWith('.cache')) continue;
-
-	// 			const filePath = path.join(this.diskCacheDir, file);
-	// 			try {
-	// 				const stats = await fs.stat(filePath);
-	// 				if (stats.mtime.getTime() < cutoffTime) {
-	// 					await fs.unlink(filePath);
-	// 					cleanedCount++;
-	// 				}
-	// 			} catch (error) {
-	// 				// Ignore errors for individual files
-	// 			}
-	// 		}
-
-	// 		if (cleanedCount > 0) {
-	// 			console.log(`Cleaned up ${cleanedCount} old cache files`);
-	// 		}
-	// 	} catch (error) {
-	// 		console.warn(`Could not clean disk cache: ${error.message}`);
-	// 	}
-	// }
-
-	// Get all image files from directory and subdirectories
-	async getImageFiles(dir) {
-		const files = [];
+	// Load tile buffer from disk cache
+	async loadTileBufferFromDisk(tilePath, tileSize, tileHeight = tileSize) {
+		const atlas = this.getTileAtlas(getTileSizeKey(tileSize, tileHeight));
+		if (!atlas) return null;
+		await atlas.ready;
+
+		const key = this.getDiskCacheKey(tilePath, tileSize, tileHeight);
+		if (atlas.pending.has(key)) {
+			return atlas.pending.get(key).buffer;
+		}
+		const entry = atlas.entries.get(key);
+		if (!entry) return null;
 
-		async function scanDirectory(currentDir) {
-			try {
-				const items = await fs.readdir(currentDir);
+		try {
+			const buffer = await this.readTileAtlasEntry(atlas, entry);
+			entry.used = Date.now();
+			atlas.dirty = true;
+			return buffer;
+		} catch (error) {
+			// Atlas removed or truncated meanwhile
+			return null;
+		}
+	}
 
-				for (const item of items) {
-					const fullPath = path.join(currentDir, item);
+	// Queue tile buffer for disk write (non-blocking). Queued buffers are
+	// appended to their atlas by flushDiskWrites
+	queueTileBufferForDisk(tilePath, tileSize, tileHeight, buffer) {
+		const atlas = this.getTileAtlas(getTileSizeKey(tileSize, tileHeight));
+		if (!atlas || buffer.length !== atlas.stride) return;
 
-					try {
-						const stat = await fs.stat(fullPath);
-						if (stat.isDirectory()) {
-							await scanDirectory(fullPath);
-						} else if (stat.isFile() && isImage(item)) {
-							// Additional validation: check if file is accessible
-							try {
-								await fs.access(fullPath, fs.constants.R_OK);
-								files.push(fullPath);
-							} catch (accessError) {
-								console.warn(`Skipping inaccessible file: ${fullPath}`);
-							}
-						}
-					} catch (statError) {
-						console.warn(`Could not stat ${fullPath}: ${statError.message}`);
+		const key = this.getDiskCacheKey(tilePath, tileSize, tileHeight);
+		atlas.pending.set(key, { buffer, used: Date.now() });
+	}
+
+	// Bytes of tile buffers queued for the disk cache
+	getQueuedDiskBytes() {
+		let bytes = 0;
+		for (const atlas of this.tileAtlases.values()) {
+			bytes += atlas.pending.size * atlas.stride;
+		}
+		return bytes;
+	}
+
+	// Write the disk queue out once it holds diskWriteBatchBytes, or a quarter
+	// of the memory budget it counts against (see trimMemoryCache)
+	async flushFullDiskQueue() {
+		const batchBytes = this.memoryCacheMaxBytes
+			? Math.min(diskWriteBatchBytes, this.memoryCacheMaxBytes / 4)
+			: diskWriteBatchBytes;
+		if (!this.diskWrites && this.getQueuedDiskBytes() >= batchBytes) {
+			await this.flushDiskWrites();
+		}
+	}
+
+	// Append queued buffers to their atlases and write changed indexes. Tiles
+	// loaded concurrently can trigger flushes, so each waits for the one in
+	// progress rather than appending the same buffers again (see
+	// writeQueuedTileBuffers)
+	async flushDiskWrites() {
+		while (this.diskWrites) {
+			await this.diskWrites;
+		}
+		this.diskWrites = this.writeQueuedTileBuffers();
+		try {
+			await this.diskWrites;
+		} finally {
+			this.diskWrites = null;
+		}
+	}
+
+	// Body of flushDiskWrites, never run concurrently
+	async writeQueuedTileBuffers() {
+		for (const atlas of this.tileAtlases.values()) {
+			await atlas.ready;
+			try {
+				const batch = Array.from(atlas.pending).filter(
+					([key]) => !atlas.entries.has(key)
+				);
+				if (batch.length > 0) {
+					await fs.appendFile(
+						atlas.dataPath,
+						Buffer.concat(batch.map(([, { buffer }]) => buffer))
+					);
+					for (const [key, { used }] of batch) {
+						atlas.entries.set(key, { offset: atlas.dataLength, used });
+						atlas.dataLength += atlas.stride;
 					}
+					atlas.dirty = true;
+				}
+				for (const [key] of Array.from(atlas.pending)) {
+					if (atlas.entries.has(key)) atlas.pending.delete(key);
+				}
+				if (atlas.dirty) {
+					await this.saveTileAtlasIndex(atlas);
 				}
 			} catch (error) {
 				console.warn(
-					`Warning: Could not read directory ${currentDir}: ${error.message}`
+					`Could not save tile buffers to ${atlas.dataPath}: ${error.message}`
 				);
 			}
 		}
-
-		await scanDirectory(dir);
-		return files;
 	}
 
-	// Calculate average color of an image
-	async getAverageColor(imagePath) {
-		// Check if this tile is already known to be corrupted
-		if (this.corruptedTiles.has(imagePath)) {
-			return null;
+	// Write an atlas index under a temporary name and rename it into place
+	async saveTileAtlasIndex(atlas) {
+		const entries = {};
+		for (const [key, { offset, used }] of atlas.entries) {
+			entries[key] = [offset, used];
 		}
+		const index = {
+			version: tileAtlasVersion,
+			width: atlas.width,
+			height: atlas.height,
+			channels: 3,
+			entries,
+		};
+		const tempPath = `${atlas.indexPath}.tmp`;
+		await fs.writeFile(tempPath, JSON.stringify(index));
+		await fs.rename(tempPath, atlas.indexPath);
+		atlas.dirty = false;
+	}
 
-		if (this.tileCache.has(imagePath)) {
-			return this.tileCache.get(imagePath);
+	// Rewrite an atlas with only its indexed buffers, dropping evicted and
+	// orphaned ones. An atlas without entries is removed
+	async compactTileAtlas(atlas) {
+		if (atlas.entries.size === 0) {
+			for (const filePath of [atlas.dataPath, atlas.indexPath]) {
+				try {
+					await fs.unlink(filePath);
+				} catch (error) {
+					// Already gone
+				}
+			}
+			this.tileAtlases.delete(atlas.sizeKey);
+			return;
 		}
 
+		// Live buffers are copied in file order through a buffer of at most
+		// atlasCopyChunkBytes, reading runs of adjacent buffers at once, so
+		// atlases of any size compact in bounded memory
+		const entries = Array.from(atlas.entries.values()).sort(
+			(a, b) => a.offset - b.offset
+		);
+		const chunk = Buffer.alloc(
+			Math.max(1, Math.floor(atlasCopyChunkBytes / atlas.stride)) * atlas.stride
+		);
+		const offsets = new Map(); // Map<entry, offset in the compacted file>
+		const tempPath = `${atlas.dataPath}.tmp`;
+		const source = await fs.open(atlas.dataPath, 'r');
 		try {
-			// Add timeout and retry logic for network files
-			const processImage = async (retryCount = 0) => {
-				try {
-					// Resize image to tile size and get raw pixel data
-					const { data, info } = await sharp(imagePath)
-						.resize(this.tileSize, this.tileSize)
-						.raw()
-						.toBuffer({ resolveWithObject: true });
-
-					let r = 0,
-						g = 0,
-						b = 0;
-					const pixelCount = data.length / 3;
-
-					// Calculate average RGB values
-					for (let i = 0; i < data.length; i += 3) {
-						r += data[i];
-						g += data[i + 1];
-						b += data[i + 2];
+			const target = await fs.open(tempPath, 'w');
+			try {
+				let written = 0;
+				for (let i = 0; i < entries.length; ) {
+					let count = 1;
+					while (
+						i + count < entries.length &&
+						(count + 1) * atlas.stride <= chunk.length &&
+						entries[i + count].offset ===
+							entries[i].offset + count * atlas.stride
+					) {
+						count++;
 					}
+					const length = count * atlas.stride;
+					const { bytesRead } = await source.read(
+						chunk,
+						0,
+						length,
+						entries[i].offset
+					);
+					if (bytesRead !== length) {
+						throw new Error(`Truncated tile atlas ${atlas.dataPath}`);
+					}
+					await target.write(chunk, 0, length);
+					for (let j = 0; j < count; j++) {
+						offsets.set(entries[i + j], written + j * atlas.stride);
+					}
+					written += length;
+					i += count;
+				}
+			} finally {
+				await target.close();
+			}
+		} finally {
+			await source.close();
+		}
 
-					const avgColor = {
-						r: Math.round(r / pixelCount),
+		// The data file is replaced before its index, so an interrupted
+		// compaction leaves an index whose offsets are dropped or point at the
+		// wrong buffers of the right size, never past the end of the file
+		await fs.rename(tempPath, atlas.dataPath);
+		for (const [entry, offset] of offsets) {
+			entry.offset = offset;
+		}
+		atlas.dataLength = entries.length * atlas.stride;
+		atlas.data = null;
+		atlas.dataReady = null;
+		await this.saveTileAtlasIndex(atlas);
+	}
+
+	// Atlases in the disk cache directory, opened and with their index loaded
+	async listTileAtlases() {
+		if (!this.diskCacheDir) return [];
+
+		const atlases = [];
+		for (const file of await fs.readdir(this.diskCacheDir)) {
+			if (!file.endsWith('.atlas.json')) continue;
+			const atlas = this.getTileAtlas(file.slice(0, -'.atlas.json'.length));
+			await atlas.ready;
+			atlases.push(atlas);
+		}
+		return atlases;
+	}
+
+	// Pack the per-tile cache files of older releases into atlases. Their
+	// names are the atlas keys, and their modification time their last use
+	async migrateDiskCacheFiles() {
+		if (!this.diskCacheDir) return;
+
+		const files = (await fs.readdir(this.diskCacheDir)).filter((file) =>
+			/^[0-9a-f]{32}_\d+(x\d+)?\.cache$/.test(file)
+		);
+		if (files.length === 0) return;
+
+		console.log(`Migrating ${files.length} tile cache files into atlases...`);
+		let migrated = 0;
+		for (let i = 0; i < files.length; i++) {
+			const file = files[i];
+			const filePath = path.join(this.diskCacheDir, file);
+			try {
+				const atlas = this.getTileAtlas(
+					file.slice(file.indexOf('_') + 1, -'.cache'.length)
+				);
+				await atlas.ready;
+				const buffer = await fs.readFile(filePath);
+				if (buffer.length === atlas.stride) {
+					const stats = await fs.stat(filePath);
+					atlas.pending.set(file.slice(0, file.indexOf('_')), {
+						buffer,
+						used: Math.floor(Math.max(stats.atimeMs, stats.mtimeMs)),
+					});
+					migrated++;
+				}
+			} catch (error) {
+				console.warn(`Could not migrate ${filePath}: ${error.message}`);
+			}
+
+			// Bound the memory held by pending buffers
+			if ((i + 1) % 1000 === 0 || i === files.length - 1) {
+				await this.flushDiskWrites();
+				for (const done of files.slice(i - (i % 1000), i + 1)) {
+					try {
+						await fs.unlink(path.join(this.diskCacheDir, done));
+					} catch (error) {
+						// Ignore errors for individual files
+					}
+				}
+			}
+		}
+		console.log(
+			`Migrated ${migrated} tile cache files into ${this.tileAtlases.size} atlases`
+		);
+	}
+
+	// Bring the disk cache within its limits: write queued buffers and the last
+	// use of buffers read since the last call, remove buffers unused for longer
+	// than diskCacheMaxAgeHours, then evict the least recently used buffers
+	// until the atlases fit diskCacheMaxBytes. Atlases that lost buffers are
+	// compacted, which moves their buffers, so this only runs between mosaics
+	// and frames while no buffers are being read; flushes during a frame
+	// (see flushFullDiskQueue) only append. A compaction that fails is an
+	// error rather than a warning, or the limits would silently never apply
+	async maintainDiskCache() {
+		if (!this.diskCacheDir) return;
+		await this.flushDiskWrites();
+
+		if (!this.diskCacheMaxAgeHours && !this.diskCacheMaxBytes) return;
+
+		const atlases = await this.listTileAtlases();
+		let buffers = [];
+		for (const atlas of atlases) {
+			for (const [key, { used }] of atlas.entries) {
+				buffers.push({ atlas, key, used });
+			}
+		}
+		const removeBuffers = (victims) => {
+			for (const { atlas, key } of victims) {
+				atlas.entries.delete(key);
+			}
+		};
+
+		if (this.diskCacheMaxAgeHours > 0) {
+			const cutoffTime =
+				Date.now() - this.diskCacheMaxAgeHours * 60 * 60 * 1000;
+			const expired = buffers.filter(({ used }) => used < cutoffTime);
+			removeBuffers(expired);
+			buffers = buffers.filter(({ used }) => used >= cutoffTime);
+			if (expired.length > 0) {
+				console.log(
+					`Pruned ${expired.length} cached tiles unused for ${this.diskCacheMaxAgeHours} hours`
+				);
+			}
+		}
+
+		if (this.diskCacheMaxBytes > 0) {
+			let totalBytes = buffers.reduce(
+				(sum, { atlas }) => sum + atlas.stride,
+				0
+			);
+			const evicted = [];
+			buffers.sort((a, b) => a.used - b.used);
+			for (const buffer of buffers) {
+				if (totalBytes <= this.diskCacheMaxBytes) break;
+				evicted.push(buffer);
+				totalBytes -= buffer.atlas.stride;
+			}
+			removeBuffers(evicted);
+			if (evicted.length > 0) {
+				console.log(
+					`Evicted ${
+						evicted.length
+					} least recently used cached tiles to stay under ${formatBytes(
+						this.diskCacheMaxBytes
+					)}`
+				);
+			}
+		}
+
+		for (const atlas of atlases) {
+			if (atlas.dataLength > atlas.entries.size * atlas.stride) {
+				try {
+					await this.compactTileAtlas(atlas);
+				} catch (error) {
+					throw new Error(
+						`Could not compact tile atlas ${atlas.dataPath}: ${error.message}`
+					);
+				}
+			}
+		}
+	}
+
+	// Get all image files from directory and subdirectories, recording their
+	// size and modification time in `fileStats` if given
+	async getImageFiles(dir, fileStats = null) {
+		const files = [];
+
+		async function scanDirectory(currentDir) {
+			try {
+				const items = await fs.readdir(currentDir);
+
+				for (const item of items) {
+					const fullPath = path.join(currentDir, item);
+
+					try {
+						const stat = await fs.stat(fullPath);
+						if (stat.isDirectory()) {
+							await scanDirectory(fullPath);
+						} else if (stat.isFile() && isImage(item)) {
+							// Additional validation: check if file is accessible
+							try {
+								await fs.access(fullPath, fs.constants.R_OK);
+								files.push(fullPath);
+								if (fileStats) {
+									fileStats.set(fullPath, {
+										size: stat.size,
+										mtime: Math.floor(stat.mtimeMs),
+									});
+								}
+							} catch (accessError) {
+								console.warn(`Skipping inaccessible file: ${fullPath}`);
+							}
+						}
+					} catch (statError) {
+						console.warn(`Could not stat ${fullPath}: ${statError.message}`);
+					}
+				}
+			} catch (error) {
+				console.warn(
+					`Warning: Could not read directory ${currentDir}: ${error.message}`
+				);
+			}
+		}
+
+		await scanDirectory(dir);
+		return files;
+	}
+
+	// Content hash of a tile file, used by --hash-tiles
+	async getFileHash(filePath) {
+		const data = await fs.readFile(filePath);
+		return crypto.createHash('md5').update(data).digest('hex');
+	}
+
+	// Size, modification time and (with --hash-tiles) content hash of a tile's
+	// file from the last directory scan, stored with its colors
+	async getTileStamp(tilePath) {
+		const { file } = splitTileVariant(tilePath);
+		const stat = this.tileFileStats && this.tileFileStats.get(file);
+		if (!stat) {
+			return {};
+		}
+		if (this.hashTiles && !stat.hash) {
+			stat.hash = await this.getFileHash(file);
+		}
+		const stamp = { fileSize: stat.size, mtime: stat.mtime };
+		if (stat.hash) {
+			stamp.hash = stat.hash;
+		}
+		return stamp;
+	}
+
+	// Find the files whose cached tiles are out of date because their size or
+	// modification time differs from `fileStats`. With --hash-tiles, a file
+	// whose content hash is unchanged (touched or copied) keeps its tiles.
+	// Tiles cached before stamps were stored adopt the current ones. Returns
+	// the changed files and how many tiles were restamped
+	async findChangedTileFiles(tiles, fileStats) {
+		const changedFiles = new Set();
+		let restamped = 0;
+
+		for (const tile of tiles) {
+			const { file } = splitTileVariant(tile.path);
+			const stat = fileStats.get(file);
+			if (!stat || changedFiles.has(file)) continue;
+			if (tile.fileSize === stat.size && tile.mtime === stat.mtime) continue;
+
+			if (tile.fileSize !== undefined) {
+				const unchanged =
+					this.hashTiles &&
+					tile.hash &&
+					(await this.getTileStamp(tile.path)).hash === tile.hash;
+				if (!unchanged) {
+					changedFiles.add(file);
+					continue;
+				}
+			}
+			Object.assign(tile, await this.getTileStamp(tile.path));
+			restamped++;
+		}
+
+		return { changedFiles, restamped };
+	}
+
+	// Index record for a tile file that couldn't be decoded, so later runs
+	// skip it until its size or modification time changes
+	async getCorruptTileRecord(tilePath) {
+		return {
+			path: tilePath,
+			corrupt: true,
+			...(await this.getTileStamp(tilePath)),
+		};
+	}
+
+	// Calculate average color of an image
+	async getAverageColor(imagePath) {
+		// Check if this tile is already known to be corrupted
+		if (this.corruptedTiles.has(imagePath)) {
+			return null;
+		}
+
+		if (this.tileCache.has(imagePath)) {
+			return this.tileCache.get(imagePath);
+		}
+
+		try {
+			// Add timeout and retry logic for network files
+			const processImage = async (retryCount = 0) => {
+				try {
+					// Resize image to tile size and get raw pixel data, using the
+					// same fit and crop that is displayed in the mosaic
+					const { data, info } = await this.resizeTile(
+						imagePath,
+						this.tileSize,
+						this.tileHeight || this.tileSize
+					)
+						.raw()
+						.toBuffer({ resolveWithObject: true });
+
+					let r = 0,
+						g = 0,
+						b = 0;
+					let pixelCount = 0;
+
+					// Calculate average RGB values over the pixels shown in a cell
+					for (let i = 0; i < data.length; i += 3) {
+						if (this.tileMask && !this.tileMask[i / 3]) continue;
+						r += data[i];
+						g += data[i + 1];
+						b += data[i + 2];
+						pixelCount++;
+					}
+
+					const avgColor = withLab({
+						r: Math.round(r / pixelCount),
 						g: Math.round(g / pixelCount),
 						b: Math.round(b / pixelCount),
 						path: imagePath,
-					};
+					});
+					if (this.signatureGrid > 1) {
+						avgColor.signature = getColorSignature(
+							data,
+							info.width,
+							info.height,
+							this.signatureGrid
+						);
+					}
 
 					this.tileCache.set(imagePath, avgColor);
 					return avgColor;
@@ -278,14 +1431,135 @@ class MosaicGenerator {
 		}
 	}
 
+	// Analyze tile files across a pool of worker threads, appending results to
+	// `tiles`. Progress is checkpointed to tiles.csv.partial so an interrupted
+	// run can resume; the final cache is written to cacheFilePath
+	async analyzeTileFiles(tileFiles, tiles, cacheFilePath, jobs = defaultJobs) {
+		const checkpointPath = `${cacheFilePath}.partial`;
+		const workerCount = Math.max(1, Math.min(jobs, tileFiles.length));
+		const workers = [];
+		let next = 0;
+		let processed = 0;
+		let lastCheckpoint = Date.now();
+		let checkpointing = false;
+
+		console.log(
+			`${new Date().toISOString()} : Analyzing ${
+				tileFiles.length
+			} tile images with ${workerCount} worker${workerCount > 1 ? 's' : ''}...`
+		);
+
+		// Pull files off the shared queue until it's empty
+		const runLane = async (analyzeFile) => {
+			while (next < tileFiles.length) {
+				const tileFile = tileFiles[next++];
+				let tileData = null;
+				try {
+					tileData = await analyzeFile(tileFile);
+				} catch (error) {
+					console.warn(`Tile worker failed on ${tileFile}: ${error.message}`);
+					this.corruptedTiles.add(tileFile);
+					tiles.push(await this.getCorruptTileRecord(tileFile));
+					return; // The worker is gone, leave the rest to the other lanes
+				}
+
+				if (tileData) {
+					Object.assign(tileData, await this.getTileStamp(tileFile));
+					this.tileCache.set(tileFile, tileData);
+					tiles.push(tileData);
+				} else {
+					this.corruptedTiles.add(tileFile);
+					tiles.push(await this.getCorruptTileRecord(tileFile));
+				}
+
+				processed++;
+				if (processed % 50 === 0 || processed === tileFiles.length) {
+					process.stdout.write(
+						`\rProcessed ${processed}/${tileFiles.length} tiles`
+					);
+				}
+
+				if (
+					!checkpointing &&
+					Date.now() - lastCheckpoint > checkpointIntervalMs
+				) {
+					checkpointing = true;
+					await this.saveTileIndex(tiles, checkpointPath);
+					lastCheckpoint = Date.now();
+					checkpointing = false;
+				}
+			}
+		};
+
+		try {
+			if (workerCount === 1) {
+				await runLane((tileFile) => this.getAverageColor(tileFile));
+			} else {
+				const lanes = [];
+				for (let i = 0; i < workerCount; i++) {
+					const worker = new Worker(__filename, {
+						workerData: {
+							role: 'tileAnalysis',
+							tileSize: this.tileSize,
+							signatureGrid: this.signatureGrid,
+							tileFit: this.tileFit,
+							tileCrop: this.tileCrop,
+							tileHeight: this.tileHeight,
+							tileMask: this.tileMask,
+						},
+					});
+					workers.push(worker);
+
+					// One request in flight per worker
+					let pending = null;
+					worker.on('message', ({ tile }) => {
+						const { resolve } = pending;
+						pending = null;
+						resolve(tile);
+					});
+					worker.on('error', (error) => {
+						if (pending) {
+							const { reject } = pending;
+							pending = null;
+							reject(error);
+						}
+					});
+
+					lanes.push(
+						runLane(
+							(tileFile) =>
+								new Promise((resolve, reject) => {
+									pending = { resolve, reject };
+									worker.postMessage(tileFile);
+								})
+						)
+					);
+				}
+				await Promise.all(lanes);
+			}
+		} finally {
+			await Promise.all(workers.map((worker) => worker.terminate()));
+		}
+		console.log('');
+
+		await this.saveTileIndex(tiles, cacheFilePath);
+		for (const filePath of [
+			checkpointPath,
+			getTileIndexMetaPath(checkpointPath),
+		]) {
+			try {
+				await fs.unlink(filePath);
+			} catch (error) {
+				// No checkpoint was written
+			}
+		}
+	}
+
 	// Validate a tile with retries for network resilience
 	async validateTileWithRetry(imagePath, maxRetries = 3) {
 		for (let attempt = 1; attempt <= maxRetries; attempt++) {
 			try {
-				await sharp(imagePath)
-					.resize(this.tileSize, this.tileSize)
-					.raw()
-					.toBuffer();
+				await this.resizeTile(imagePath, this.tileSize).raw().toBuffer();
 				return; // Success
 			} catch (error) {
 				if (attempt === maxRetries) {
@@ -300,345 +1574,2720 @@ class MosaicGenerator {
 		}
 	}
 
-	// Calculate color distance between two colors
+	// Calculate squared color distance between two colors using the selected metric.
+	// Lab metrics expect both colors to carry labL/labA/labB (see withLab)
 	colorDistanceSq(color1, color2) {
-		const dr = color1.r - color2.r;
-		const dg = color1.g - color2.g;
-		const db = color1.b - color2.b;
-		return dr * dr + dg * dg + db * db;
-	}
-
-	// Enhanced tile buffer caching with batch loading
-	async preCacheTileBuffers(tileImages, tileSize) {
-		// Get unique tile paths from the mosaic pattern
-		const uniqueTilePaths = new Set();
-		for (const row of tileImages) {
-			for (const tilePath of row) {
-				uniqueTilePaths.add(tilePath);
+		switch (this.colorMetric) {
+			case 'lab76': {
+				const dL = color1.labL - color2.labL;
+				const dA = color1.labA - color2.labA;
+				const dB = color1.labB - color2.labB;
+				return dL * dL + dA * dA + dB * dB;
 			}
-		}
-
-		const uniqueTiles = Array.from(uniqueTilePaths);
-		console.log(
-			`Pre-caching ${uniqueTiles.length} unique tiles at ${tileSize}px...`
-		);
-
-		// Increased batch size for better performance
-		const BATCH_SIZE = 100;
-		let processed = 0;
-
-		for (let i = 0; i < uniqueTiles.length; i += BATCH_SIZE) {
-			const batch = uniqueTiles.slice(i, i + BATCH_SIZE);
-
-			// Process batch in parallel with higher concurrency
-			const promises = batch.map(async (tilePath) => {
-				await this.getCachedTileBuffer(tilePath, tileSize);
-				processed++;
-			});
-
-			await Promise.all(promises);
-
-			// Less frequent progress updates
-			if (processed % 200 === 0 || processed === uniqueTiles.length) {
-				process.stdout.write(
-					`\rPre-cached ${processed}/${uniqueTiles.length} tiles`
+			case 'lab2000': {
+				const deltaE = deltaE2000(color1, color2);
+				return deltaE * deltaE;
+			}
+			case 'redmean': {
+				// Low-cost approximation of perceived difference, weighted by mean red
+				const rMean = (color1.r + color2.r) / 2;
+				const dr = color1.r - color2.r;
+				const dg = color1.g - color2.g;
+				const db = color1.b - color2.b;
+				return (
+					(2 + rMean / 256) * dr * dr +
+					4 * dg * dg +
+					(2 + (255 - rMean) / 256) * db * db
 				);
 			}
+			default: {
+				const dr = color1.r - color2.r;
+				const dg = color1.g - color2.g;
+				const db = color1.b - color2.b;
+				return dr * dr + dg * dg + db * db;
+			}
 		}
-
-		console.log(''); // New line
-		console.log('Pre-caching completed');
 	}
 
-	// Get cached tile buffer with on-demand loading and disk caching
-	async getCachedTileBuffer(tilePath, tileSize) {
-		const cacheKey = tilePath + `_${tileSize}`;
-		this.cacheStats.totalRequests++;
-
-		// Return cached buffer if available in memory
-		if (this.tileBufferCache.has(cacheKey)) {
-			this.cacheStats.memoryHits++;
-			return this.tileBufferCache.get(cacheKey);
+	// Distance between a cell target and a tile, averaged over the sub-grid
+	// signature when both sides have one
+	tileDistanceSq(target, tile) {
+		if (!target.signature || !tile.signature) {
+			return this.colorDistanceSq(target, tile);
 		}
 
-		// Skip if already known to be corrupted
-		if (this.corruptedTiles.has(tilePath)) {
-			return null;
+		let total = 0;
+		for (let i = 0; i < target.signature.length; i++) {
+			total += this.colorDistanceSq(target.signature[i], tile.signature[i]);
 		}
+		return total / target.signature.length;
+	}
 
-		// Try to load from disk cache first
-		let buffer = await this.loadTileBufferFromDisk(tilePath, tileSize);
+	// Get the target color of a mosaic cell from the downscaled input image,
+	// including its sub-grid signature when signature matching is enabled
+	getTargetColor(inputData, x, y, mosaicWidth) {
+		const pixelIndex = (y * mosaicWidth + x) * 3;
+		const targetColor = {
+			r: inputData[pixelIndex],
+			g: inputData[pixelIndex + 1],
+			b: inputData[pixelIndex + 2],
+		};
 
-		if (buffer) {
-			// Cache hit - store in memory and return
-			this.cacheStats.diskHits++;
-			this.tileBufferCache.set(cacheKey, buffer);
-			return buffer;
+		if (this.signatureInput) {
+			const grid = this.signatureGrid;
+			const { data, width } = this.signatureInput;
+			targetColor.signature = [];
+			for (let sy = 0; sy < grid; sy++) {
+				for (let sx = 0; sx < grid; sx++) {
+					const index = ((y * grid + sy) * width + x * grid + sx) * 3;
+					targetColor.signature.push({
+						r: data[index],
+						g: data[index + 1],
+						b: data[index + 2],
+					});
+				}
+			}
 		}
 
-		// Cache miss - load and cache the tile buffer on-demand
-		this.cacheStats.cacheMisses++;
-		try {
-			buffer = await sharp(tilePath)
-				.resize(tileSize, tileSize)
-				.raw()
-				.toBuffer();
+		return targetColor;
+	}
 
-			// Store in memory cache immediately
-			this.tileBufferCache.set(cacheKey, buffer);
+	// Shift a tile's colors toward the target color of its cell. Returns a new
+	// buffer so cached tile buffers are never modified
+	blendTile(tileBuffer, inputData, x, y, mosaicWidth) {
+		if (!this.blend || !inputData) {
+			return tileBuffer;
+		}
 
-			// Queue for disk write (non-blocking)
-			this.queueTileBufferForDisk(tilePath, tileSize, buffer);
+		const target = this.getBlendTarget(inputData, x, y, mosaicWidth);
+		return blendTileColors(tileBuffer, target, this.blend, this.blendMode);
+	}
 
-			return buffer;
-		} catch (error) {
-			console.warn(`Failed to load tile: ${tilePath} - ${error.message}`);
-			this.corruptedTiles.add(tilePath);
-			return null;
+	// Target color of a cell, with the color spread around it that reinhard
+	// blending transfers
+	getBlendTarget(inputData, x, y, mosaicWidth) {
+		const target = this.getTargetColor(inputData, x, y, mosaicWidth);
+		if (this.blendMode === 'reinhard' && this.blendSampleInput) {
+			const { data, width } = this.blendSampleInput;
+			const pixels = [];
+			for (let sy = 0; sy < blendSampleScale; sy++) {
+				for (let sx = 0; sx < blendSampleScale; sx++) {
+					const index =
+						((y * blendSampleScale + sy) * width + x * blendSampleScale + sx) *
+						3;
+					pixels.push(data[index], data[index + 1], data[index + 2]);
+				}
+			}
+			target.labStats = getLabStats(pixels);
 		}
+
+		return target;
 	}
 
-	// Check how many tiles are cached on disk for a given size
-	async checkDiskCacheSize(tileSize) {
-		if (!this.diskCacheDir) return 0;
+	// Cells ({ x, y, width, height, path, target }) of a square tile pattern,
+	// for compositing it like a cell list
+	getPatternCells(tileImages, tileSize, inputData) {
+		const mosaicWidth = tileImages[0].length;
+		return tileImages.flatMap((row, y) =>
+			row.map((tilePath, x) => ({
+				x: x * tileSize,
+				y: y * tileSize,
+				width: tileSize,
+				height: tileSize,
+				row: y,
+				path: tilePath,
+				target: this.getBlendTarget(inputData, x, y, mosaicWidth),
+			}))
+		);
+	}
 
-		try {
-			const files = await fs.readdir(this.diskCacheDir);
-			const cacheFiles = files.filter((file) =>
-				file.endsWith(`_${tileSize}.cache`)
+	// Describe the last generated mosaic for --manifest: its grid and tile
+	// size, and for every cell the placed tile, the tile's indexed color, the
+	// cell's target color and their distance under the color metric
+	getManifest(inputImagePath, outputPath, width, height) {
+		const roundColor = ({ r, g, b }) => ({
+			r: Math.round(r),
+			g: Math.round(g),
+			b: Math.round(b),
+		});
+
+		return {
+			format: 'zoomsaic-manifest',
+			version: manifestVersion,
+			...this.getMosaicDescription(inputImagePath, outputPath, width, height),
+			cells: this.getMatchedCells().map(({ cell, tile }) => {
+				const entry = {
+					x: cell.x,
+					y: cell.y,
+					width: cell.width,
+					height: cell.height,
+				};
+				if (cell.cx !== undefined) {
+					entry.cx = cell.cx;
+					entry.cy = cell.cy;
+				}
+				entry.path = cell.path;
+				entry.tileColor = tile ? roundColor(tile) : null;
+				entry.targetColor = roundColor(cell.target);
+				entry.error = tile
+					? Math.round(
+							Math.sqrt(
+								this.tileDistanceSq(this.prepareTargetColor(cell.target), tile)
+							) * 100
+					  ) / 100
+					: null;
+				return entry;
+			}),
+		};
+	}
+
+	// Settings and size of the last generated mosaic, shared by its manifest
+	// and quality report
+	getMosaicDescription(inputImagePath, outputPath, width, height) {
+		const geometry = this.lastGeometry;
+		return {
+			input: inputImagePath,
+			output: outputPath,
+			layout: geometry ? geometry.layout : 'square',
+			adaptive: !this.lastTilePattern && !geometry,
+			colorMetric: this.colorMetric,
+			tileFit: this.tileFit,
+			tileCrop: this.tileCrop,
+			columns: this.lastMosaicWidth,
+			rows: this.lastMosaicHeight,
+			tileSize: geometry ? geometry.spacing : this.tileSize,
+			tileWidth: geometry ? geometry.tileWidth : this.tileSize,
+			tileHeight: geometry ? geometry.tileHeight : this.tileSize,
+			width,
+			height,
+		};
+	}
+
+	// Cells of the last generated mosaic, each with the indexed tile placed in
+	// it (null if the tile is no longer indexed)
+	getMatchedCells() {
+		const cells =
+			this.lastTileCells ||
+			this.getPatternCells(
+				this.lastTilePattern,
+				this.tileSize,
+				this.lastInputData
 			);
-			return cacheFiles.length;
-		} catch (error) {
-			return 0;
+		const tilesByPath = new Map(
+			this.lastTiles.map((tile) => [tile.path, tile])
+		);
+		return cells.map((cell) => ({
+			cell,
+			tile: tilesByPath.get(cell.path) || null,
+		}));
+	}
+
+	// Manifest of a zoom frame: the cells of `manifest` scaled by `scale` and
+	// cropped to width x height the way the frame is composited, centered
+	// unless `crop` gives its origin. Cells outside the frame are left out
+	getZoomedManifest(manifest, scale, width, height, crop = null) {
+		const cropLeft = crop
+			? crop.left
+			: Math.round((Math.round(manifest.width * scale) - width) / 2);
+		const cropTop = crop
+			? crop.top
+			: Math.round((Math.round(manifest.height * scale) - height) / 2);
+		const cells = [];
+		for (const cell of manifest.cells) {
+			const x0 = Math.round(cell.x * scale);
+			const y0 = Math.round(cell.y * scale);
+			const entry = {
+				...cell,
+				x: x0 - cropLeft,
+				y: y0 - cropTop,
+				width: Math.round((cell.x + cell.width) * scale) - x0,
+				height: Math.round((cell.y + cell.height) * scale) - y0,
+			};
+			if (
+				entry.x + entry.width <= 0 ||
+				entry.y + entry.height <= 0 ||
+				entry.x >= width ||
+				entry.y >= height
+			) {
+				continue;
+			}
+			if (cell.cx !== undefined) {
+				entry.cx = cell.cx * scale - cropLeft;
+				entry.cy = cell.cy * scale - cropTop;
+			}
+			cells.push(entry);
 		}
+
+		return {
+			...manifest,
+			tileSize: Math.round(manifest.tileSize * scale),
+			tileWidth: Math.round(manifest.tileWidth * scale),
+			tileHeight: Math.round(manifest.tileHeight * scale),
+			width,
+			height,
+			zoom: { scale, left: cropLeft, top: cropTop },
+			cells,
+		};
 	}
 
-	// Print cache statistics
-	async printCacheStats(tileSize) {
-		const stats = this.cacheStats;
-		const hitRate =
-			stats.totalRequests > 0
-				? (
-						((stats.memoryHits + stats.diskHits) / stats.totalRequests) *
-						100
-				  ).toFixed(1)
-				: '0.0';
-		const diskCacheCount = await this.checkDiskCacheSize(tileSize);
+	// Write the --manifest of the mosaic just generated, if one was requested
+	async writeManifest(inputImagePath, outputPath, width, height) {
+		if (!this.manifestPath) {
+			return;
+		}
 
-		console.log(`Cache stats for ${tileSize}px tiles:`);
-		console.log(`  Memory hits: ${stats.memoryHits}`);
-		console.log(`  Disk hits: ${stats.diskHits}`);
-		console.log(`  Cache misses: ${stats.cacheMisses}`);
-		console.log(`  Total requests: ${stats.totalRequests}`);
-		console.log(`  Hit rate: ${hitRate}%`);
-		console.log(`  Disk cache files: ${diskCacheCount}`);
-	} // Find the best matching tile for a given color
-	findBestTile(targetColor, tiles) {
-		// Filter out corrupted tiles upfront
-		const validTiles = tiles.filter(
-			(tile) => !this.corruptedTiles.has(tile.path)
+		this.lastManifest = this.getManifest(
+			inputImagePath,
+			outputPath,
+			width,
+			height
+		);
+		await this.saveManifest(this.manifestPath, this.lastManifest);
+	}
+
+	// Write a manifest with its paths relative to the manifest file, so it can
+	// be read from any working directory (see loadManifest)
+	async saveManifest(manifestPath, manifest) {
+		await writeJsonFile(
+			manifestPath,
+			mapManifestPaths(manifest, (filePath) =>
+				path.relative(path.dirname(manifestPath), filePath)
+			)
+		);
+		console.log(
+			`Manifest saved to: ${manifestPath} (${manifest.cells.length} cells)`
 		);
+	}
 
-		// If no valid tiles remain, throw an error
-		if (validTiles.length === 0) {
-			throw new Error('No valid tiles available - all tiles are corrupted');
+	// Measure the last generated mosaic and print a summary: the CIEDE2000
+	// error between each tile's indexed color and its cell's target color
+	// (comparable across --metric settings) and how often tiles were reused.
+	// With --report the SSIM of the downscaled output against the input is
+	// added, and the report is saved as JSON next to a heatmap of the errors
+	async reportQuality(inputImagePath, outputPath, width, height) {
+		const matched = this.getMatchedCells();
+		const errors = matched.map(({ cell, tile }) =>
+			tile ? deltaE2000(withLab(cell.target), withLab(tile)) : null
+		);
+		const sortedErrors = errors
+			.filter((error) => error !== null)
+			.sort((a, b) => a - b);
+		const round = (value, digits = 2) =>
+			value === null
+				? null
+				: Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+		const percentile = (p) =>
+			sortedErrors.length > 0
+				? round(
+						sortedErrors[
+							Math.max(0, Math.ceil((p / 100) * sortedErrors.length) - 1)
+						]
+				  )
+				: null;
+
+		const cellSizes = {};
+		const uses = new Map(); // Map<tile path, placements>
+		for (const { cell } of matched) {
+			const sizeKey = getTileSizeKey(cell.width, cell.height);
+			cellSizes[sizeKey] = (cellSizes[sizeKey] || 0) + 1;
+			uses.set(cell.path, (uses.get(cell.path) || 0) + 1);
 		}
+		const mostUsed = Array.from(uses)
+			.sort((a, b) => b[1] - a[1])
+			.slice(0, reportMostUsedTiles)
+			.map(([tilePath, count]) => ({ path: tilePath, uses: count }));
+		const usedPhotos = new Set(
+			Array.from(uses.keys(), (tilePath) => splitTileVariant(tilePath).file)
+		);
 
-		let bestTile = validTiles[0];
-		let bestDistance = this.colorDistanceSq(targetColor, bestTile);
+		const report = {
+			format: 'zoomsaic-report',
+			version: reportVersion,
+			...this.getMosaicDescription(inputImagePath, outputPath, width, height),
+			cells: matched.length,
+			cellSizes,
+			deltaE: {
+				metric: 'CIEDE2000',
+				mean:
+					sortedErrors.length > 0
+						? round(
+								sortedErrors.reduce((sum, error) => sum + error, 0) /
+									sortedErrors.length
+						  )
+						: null,
+				median: percentile(50),
+				p90: percentile(90),
+				p95: percentile(95),
+				p99: percentile(99),
+				max: percentile(100),
+			},
+			ssim: null,
+			reuse: {
+				availableTiles: this.lastTiles.length,
+				usedTiles: uses.size,
+				unusedTiles: Math.max(0, this.lastTiles.length - uses.size),
+				usedPhotos: usedPhotos.size,
+				meanUses: round(matched.length / Math.max(1, uses.size)),
+				maxUses: mostUsed.length > 0 ? mostUsed[0].uses : 0,
+				mostUsed,
+			},
+			corruptedTiles: this.corruptedTiles.size,
+			heatmap: null,
+		};
 
-		for (let i = 1; i < validTiles.length; i++) {
-			const distance = this.colorDistanceSq(targetColor, validTiles[i]);
-			if (distance < bestDistance) {
-				bestDistance = distance;
-				bestTile = validTiles[i];
+		if (this.reportPath) {
+			// Exports aren't a single image to compare
+			if (!this.exportFormat) {
+				report.ssim = await this.measureSsim(
+					outputPath,
+					inputImagePath,
+					width,
+					height
+				);
 			}
+			const { dir, name } = path.parse(this.reportPath);
+			report.heatmap = path.join(dir, `${name}_heatmap.png`);
+			await this.saveErrorHeatmap(
+				matched,
+				errors,
+				width,
+				height,
+				report.heatmap
+			);
+			await writeJsonFile(this.reportPath, report);
 		}
 
-		return bestTile;
+		this.printQualityReport(report);
+		if (this.reportPath) {
+			console.log(
+				`Quality report saved to: ${this.reportPath} (heatmap: ${report.heatmap})`
+			);
+		}
+		return report;
 	}
 
-	// Load tile cache from CSV file
-	async loadTileCacheFromCSV(cacheFilePath) {
-		try {
-			const csvData = await fs.readFile(cacheFilePath, 'utf-8');
-			const lines = csvData.trim().split('\n');
-			const tiles = [];
+	// Mean SSIM of the output and the input, both downscaled to a few pixels
+	// per tile where the tiles blend into the picture they form
+	async measureSsim(outputPath, inputImagePath, width, height) {
+		const ssimWidth = Math.max(
+			8,
+			Math.round((width / this.tileSize) * reportSsimCellPixels)
+		);
+		const ssimHeight = Math.max(
+			8,
+			Math.round((height / this.tileSize) * reportSsimCellPixels)
+		);
+		// Streamed outputs can be larger than sharp's default pixel limit
+		const loadLuminance = (imagePath) =>
+			sharp(imagePath, { limitInputPixels: false })
+				.resize(ssimWidth, ssimHeight, { fit: 'fill' })
+				.toColourspace('b-w')
+				.raw()
+				.toBuffer();
+		const [outputData, inputData] = await Promise.all([
+			loadLuminance(outputPath),
+			loadLuminance(inputImagePath),
+		]);
 
-			// Skip header line
-			for (let i = 1; i < lines.length; i++) {
-				const [all, filePath, r, g, b] = lines[i].match(
-					/(.*)\,(\d+)\,(\d+)\,(\d+)$/
-				);
-				if (isImage(filePath) && r && g && b) {
-					const tileData = {
-						path: filePath.trim(),
-						r: parseInt(r.trim()),
-						g: parseInt(g.trim()),
-						b: parseInt(b.trim()),
-					};
-					tiles.push(tileData);
-					this.tileCache.set(tileData.path, tileData);
-				} else {
-					console.log(`excluding ${filePath}`);
+		return {
+			value:
+				Math.round(
+					getSsim(outputData, inputData, ssimWidth, ssimHeight) * 1000
+				) / 1000,
+			width: ssimWidth,
+			height: ssimHeight,
+		};
+	}
+
+	// Save a heatmap of the per-cell color error, from cool (good matches) to
+	// hot (heatmapMaxDeltaE or worse), so gaps in the tile library stand out.
+	// Cells without an indexed tile are gray
+	async saveErrorHeatmap(matched, errors, width, height, heatmapPath) {
+		const scale = heatmapCellPixels / this.tileSize;
+		const heatmapWidth = Math.max(1, Math.round(width * scale));
+		const heatmapHeight = Math.max(1, Math.round(height * scale));
+		const buffer = Buffer.alloc(heatmapWidth * heatmapHeight * 3);
+
+		matched.forEach(({ cell }, i) => {
+			const color =
+				errors[i] === null
+					? [128, 128, 128]
+					: getHeatmapColor(errors[i] / heatmapMaxDeltaE);
+			const x0 = Math.max(0, Math.round(cell.x * scale));
+			const y0 = Math.max(0, Math.round(cell.y * scale));
+			const x1 = Math.min(
+				heatmapWidth,
+				Math.round((cell.x + cell.width) * scale)
+			);
+			const y1 = Math.min(
+				heatmapHeight,
+				Math.round((cell.y + cell.height) * scale)
+			);
+			for (let y = y0; y < y1; y++) {
+				for (let x = x0; x < x1; x++) {
+					buffer.set(color, (y * heatmapWidth + x) * 3);
 				}
 			}
+		});
 
-			return tiles;
-		} catch (error) {
-			console.error(error);
-			// Cache file doesn't exist or is invalid
-			return null;
-		}
+		await sharp(buffer, {
+			raw: { width: heatmapWidth, height: heatmapHeight, channels: 3 },
+		})
+			.png()
+			.toFile(heatmapPath);
 	}
 
-	// Save tile cache to CSV file
-	async saveTileCacheToCSV(tiles, cacheFilePath) {
-		try {
-			const csvLines = ['path,r,g,b'];
-			for (const tile of tiles) {
-				csvLines.push(`${tile.path},${tile.r},${tile.g},${tile.b}`);
-			}
-			await fs.writeFile(cacheFilePath, csvLines.join('\n'), 'utf-8');
-			console.log(`Tile cache saved to ${cacheFilePath}`);
-		} catch (error) {
-			console.warn(`Warning: Could not save cache file: ${error.message}`);
+	// Print the summary of a quality report
+	printQualityReport(report) {
+		const { deltaE, reuse, ssim } = report;
+		const format = (value) => (value === null ? 'n/a' : value.toFixed(1));
+		console.log('Quality report:');
+		console.log(
+			`  Cells: ${report.cells} (${Object.entries(report.cellSizes)
+				.map(([size, count]) => `${count} at ${size}px`)
+				.join(', ')})`
+		);
+		console.log(
+			`  Color error (${deltaE.metric}): mean ${format(
+				deltaE.mean
+			)}, median ${format(deltaE.median)}, p90 ${format(
+				deltaE.p90
+			)}, p95 ${format(deltaE.p95)}, p99 ${format(deltaE.p99)}, max ${format(
+				deltaE.max
+			)}`
+		);
+		if (ssim) {
+			console.log(
+				`  SSIM with the input: ${ssim.value.toFixed(3)} (at ${ssim.width}x${
+					ssim.height
+				})`
+			);
+		}
+		console.log(
+			`  Tile reuse: ${reuse.usedTiles} of ${
+				reuse.availableTiles
+			} tiles used (${reuse.usedPhotos} photos), ${reuse.meanUses.toFixed(
+				1
+			)} uses per tile on average${
+				reuse.mostUsed.length > 0
+					? `, at most ${reuse.maxUses} (${path.basename(
+							reuse.mostUsed[0].path
+					  )})`
+					: ''
+			}`
+		);
+		if (report.corruptedTiles > 0) {
+			console.log(
+				`  Corrupted tiles found and excluded: ${report.corruptedTiles}`
+			);
 		}
 	}
 
-	// Zoom into center of image by specified percentage
-	async zoomImage(imagePath, zoomFactor = defaultZoomFactor) {
-		const image = sharp(imagePath);
-		const metadata = await image.metadata();
+	// Composite the input image over a finished mosaic buffer. The input is
+	// resized to the full mosaic size the same way the cell colors were sampled,
+	// then cropped to `crop` so it stays aligned with a cropped (zoomed) tile grid
+	async applyOverlay(
+		buffer,
+		inputImagePath,
+		fullWidth,
+		fullHeight,
+		crop = null
+	) {
+		if (!this.overlay || !inputImagePath) {
+			return;
+		}
 
-		const { width, height } = metadata;
-		const newWidth = Math.round(width * zoomFactor);
-		const newHeight = Math.round(height * zoomFactor);
+		let image = sharp(inputImagePath).resize(fullWidth, fullHeight);
+		if (crop) {
+			image = image.extract(crop);
+		}
+		const overlayData = await image.removeAlpha().raw().toBuffer();
 
-		// Calculate center crop coordinates
-		const left = Math.round((width - newWidth) / 2);
-		const top = Math.round((height - newHeight) / 2);
+		blendOverlay(buffer, overlayData, this.overlay, this.overlayMode);
+	}
 
-		// Create a temporary file for the zoomed image
-		const tempPath = imagePath.replace(/(\.[^.]+)$/, '_zoomed$1');
+	// Enhanced tile buffer caching with batch loading
+	async preCacheTileBuffers(tileImages, tileSize, tileHeight = tileSize) {
+		// Get unique tile paths from the mosaic pattern
+		const uniqueTilePaths = new Set();
+		for (const row of tileImages) {
+			for (const tilePath of row) {
+				uniqueTilePaths.add(tilePath);
+			}
+		}
 
-		await image
-			.extract({ left, top, width: newWidth, height: newHeight })
-			.resize(width, height) // Scale back to original dimensions
-			.toFile(tempPath);
+		const uniqueTiles = Array.from(uniqueTilePaths);
+		console.log(
+			`Pre-caching ${uniqueTiles.length} unique tiles at ${getTileSizeKey(
+				tileSize,
+				tileHeight
+			)}px...`
+		);
 
-		return tempPath;
-	}
+		// Increased batch size for better performance
+		const BATCH_SIZE = 100;
+		let processed = 0;
 
-	// Generate infinite zoom mosaic sequence
-	async generateInfiniteZoomMosaic(
-		inputImagePath,
-		tilesDirectory,
-		outputPath,
-		options = {}
-	) {
-		const {
-			zoomFactor = defaultZoomFactor, // 10% zoom each iteration
-			maxIterations = null, // null for infinite
-			zoomSteps = defaultZoomSteps, // Number of zoom steps between mosaics
-			...mosaicOptions
-		} = options;
+		for (let i = 0; i < uniqueTiles.length; i += BATCH_SIZE) {
+			const batch = uniqueTiles.slice(i, i + BATCH_SIZE);
 
-		// Parse output path to get base name and extension
-		const parsedPath = path.parse(outputPath);
-		const baseOutputPath = path.join(parsedPath.dir, parsedPath.name);
-		const extension = parsedPath.ext;
+			// Process batch in parallel with higher concurrency
+			const promises = batch.map(async (tilePath) => {
+				await this.getCachedTileBuffer(tilePath, tileSize, tileHeight);
+				processed++;
+			});
 
-		let currentInputPath = inputImagePath;
-		let globalFrameNumber = 0;
+			await Promise.all(promises);
 
-		try {
-			while (
-				maxIterations === null ||
-				globalFrameNumber / (zoomSteps + 1) < maxIterations
-			) {
-				const iterationNumber =
-					Math.floor(globalFrameNumber / (zoomSteps + 1)) + 1;
-				console.log(`\n=== ITERATION ${iterationNumber} ===`);
+			// Less frequent progress updates
+			if (processed % 200 === 0 || processed === uniqueTiles.length) {
+				process.stdout.write(
+					`\rPre-cached ${processed}/${uniqueTiles.length} tiles`
+				);
+			}
+		}
 
-				// Generate mosaic first and capture tile pattern
-				globalFrameNumber++;
-				const paddedFrameNumber = globalFrameNumber.toString().padStart(4, '0');
-				const mosaicOutputPath = `${baseOutputPath}_${paddedFrameNumber}${extension}`;
+		console.log(''); // New line
+		console.log('Pre-caching completed');
+	}
 
-				console.log(`Generating initial mosaic frame ${globalFrameNumber}...`);
-				const mosaicResult = await this.generateMosaicWithTilePattern(
-					currentInputPath,
-					tilesDirectory,
-					mosaicOutputPath,
-					mosaicOptions
-				);
+	// Add a buffer to the memory cache, evicting the least recently used
+	// entries once it exceeds memoryCacheMaxBytes. Evicted buffers are
+	// reloaded from the disk cache when they are needed again
+	storeTileBuffer(cacheKey, buffer) {
+		if (this.tileBufferCache.has(cacheKey)) {
+			this.tileBufferCacheBytes -= this.tileBufferCache.get(cacheKey).length;
+			this.tileBufferCache.delete(cacheKey);
+		}
+		this.tileBufferCache.set(cacheKey, buffer);
+		this.tileBufferCacheBytes += buffer.length;
+		this.trimMemoryCache(cacheKey);
+	}
 
-				console.log(`Mosaic completed: ${mosaicOutputPath}`);
+	// Evict least recently used memory cache entries of any size until the
+	// cache fits memoryCacheMaxBytes, keeping `keepKey`. Tile buffers go
+	// before tile pyramids, since a buffer is cheap to rebuild from its
+	// pyramid while a pyramid means decoding the photo again. Buffers queued
+	// for the disk cache count against the budget too, since evicting them
+	// from the memory cache doesn't free them
+	trimMemoryCache(keepKey) {
+		if (!this.memoryCacheMaxBytes) return;
+
+		const queuedBytes = this.getQueuedDiskBytes();
+		for (const cache of [this.tileBufferCache, this.tilePyramids]) {
+			for (const [key, cached] of cache) {
+				if (
+					this.tileBufferCacheBytes + queuedBytes <= this.memoryCacheMaxBytes ||
+					key === keepKey
+				) {
+					break;
+				}
+				cache.delete(key);
+				this.tileBufferCacheBytes -=
+					cache === this.tilePyramids ? cached.bytes : cached.length;
+				this.cacheStats.memoryEvictions++;
+			}
+		}
+	}
 
-				let prevZoomTileSize;
-				// Now generate zoom sequence by reusing tile pattern with larger tile sizes
-				for (let zoomStep = 1; zoomStep <= zoomSteps; zoomStep++) {
-					globalFrameNumber++;
-					const paddedZoomFrame = globalFrameNumber.toString().padStart(4, '0');
-					const zoomOutputPath = `${baseOutputPath}_${paddedZoomFrame}${extension}`;
+	// Drop the memory cached buffers and pyramids of tile photos that changed
+	// or were removed since they were loaded
+	forgetTileBuffers(files) {
+		const isOf = (key, file) =>
+			key === file || key.startsWith(`${file}_`) || key.startsWith(`${file}#`);
+		for (const cache of [this.tileBufferCache, this.tilePyramids]) {
+			for (const [key, cached] of Array.from(cache)) {
+				if (!Array.from(files).some((file) => isOf(key, file))) continue;
+				cache.delete(key);
+				this.tileBufferCacheBytes -=
+					cache === this.tilePyramids ? cached.bytes : cached.length;
+			}
+		}
+	}
 
-					console.log(
-						`Creating zoomed mosaic ${zoomStep}/${zoomSteps} (frame ${globalFrameNumber}, zoom step ${zoomStep})...`
-					);
+	// Build the resolution pyramid of a tile photo: the photo is decoded once,
+	// fitted to the tile aspect at the largest power-of-two reduction of its
+	// own resolution that still covers `width` x `height` (or the largest tile
+	// of the run, see tilePyramidScale), then halved down to
+	// minTilePyramidLevel. Levels are { width, height, data }, largest first
+	async buildTilePyramid(tilePath, width, height) {
+		const { file, variant } = splitTileVariant(tilePath);
+		const metadata = await sharp(file).metadata();
+		const rotation = variant.match(/r(\d+)$/);
+		const [sourceWidth, sourceHeight] =
+			rotation && parseInt(rotation[1]) % 180
+				? [metadata.height, metadata.width]
+				: [metadata.width, metadata.height];
+
+		// The fitted photo at its own resolution
+		const aspect = this.tileSize / (this.tileHeight || this.tileSize);
+		let fittedWidth = sourceWidth;
+		let fittedHeight = sourceHeight;
+		if (this.tileFit !== 'fill') {
+			fittedWidth =
+				this.tileFit === 'cover'
+					? Math.min(sourceWidth, sourceHeight * aspect)
+					: Math.max(sourceWidth, sourceHeight * aspect);
+			fittedHeight = fittedWidth / aspect;
+		}
 
-					// Calculate new tile size using zoom step within this iteration
-					// Reset zoom progression for each iteration to maintain smooth transitions
-					const baseTileSize = mosaicOptions.tileSize || defaultTileSize;
-					const zoomMultiplier = Math.pow(1 / zoomFactor, zoomStep);
-					const zoomTileSize = Math.round(baseTileSize * zoomMultiplier);
-					if (prevZoomTileSize == zoomTileSize) {
-						console.log(
-							`Tile size ${zoomTileSize} pixels same as previous step, skipping redundant frame`
-						);
-						continue;
-					}
-					prevZoomTileSize = zoomTileSize;
-					console.log(
-						`Tile size: ${baseTileSize} -> ${zoomTileSize} pixels (continuous zoom factor: ${(
-							zoomTileSize / baseTileSize
-						).toFixed(2)}x)`
-					);
+		const coverWidth = Math.max(
+			width,
+			Math.ceil(this.tileSize * this.tilePyramidScale)
+		);
+		const coverHeight = Math.max(
+			height,
+			Math.ceil((this.tileHeight || this.tileSize) * this.tilePyramidScale)
+		);
+		let reduction = 1;
+		while (
+			fittedWidth / (reduction * 2) >= coverWidth &&
+			fittedHeight / (reduction * 2) >= coverHeight
+		) {
+			reduction *= 2;
+		}
 
-					// Get target output dimensions (same as original)
-					const targetWidth = mosaicResult.width;
-					const targetHeight = mosaicResult.height;
+		let level = {
+			width: Math.max(1, Math.round(fittedWidth / reduction)),
+			height: Math.max(1, Math.round(fittedHeight / reduction)),
+		};
+		this.cacheStats.tileDecodes++;
+		level.data = await this.resizeTile(tilePath, level.width, level.height)
+			.raw()
+			.toBuffer();
 
-					// Generate zoomed mosaic using same tile pattern but larger tiles
-					await this.generateZoomedMosaicFromPattern(
-						mosaicResult.tilePattern,
-						mosaicResult.mosaicWidth,
-						mosaicResult.mosaicHeight,
-						zoomTileSize,
-						targetWidth,
-						targetHeight,
-						zoomOutputPath,
-						mosaicResult.tiles // Pass tiles for optimization
+		const levels = [level];
+		while (
+			level.width >= minTilePyramidLevel * 2 &&
+			level.height >= minTilePyramidLevel * 2
+		) {
+			const next = {
+				width: Math.round(level.width / 2),
+				height: Math.round(level.height / 2),
+			};
+			next.data = await sharp(level.data, {
+				raw: { width: level.width, height: level.height, channels: 3 },
+			})
+				.resize(next.width, next.height, { fit: 'fill' })
+				.raw()
+				.toBuffer();
+			levels.push(next);
+			level = next;
+		}
+
+		return {
+			levels,
+			bytes: levels.reduce((sum, { data }) => sum + data.length, 0),
+			// Whether the top level is the photo at full resolution, so a
+			// larger tile can't be had by decoding it again
+			complete: reduction === 1,
+		};
+	}
+
+	// Resize a tile from the smallest pyramid level covering it, or null when
+	// the pyramid was built too small for it
+	async resizeFromTilePyramid(pyramid, width, height) {
+		const level =
+			pyramid.levels
+				.slice()
+				.reverse()
+				.find((level) => level.width >= width && level.height >= height) ||
+			(pyramid.complete ? pyramid.levels[0] : null);
+		if (!level) return null;
+		if (level.width === width && level.height === height) {
+			return level.data;
+		}
+		return sharp(level.data, {
+			raw: { width: level.width, height: level.height, channels: 3 },
+		})
+			.resize(width, height, { fit: 'fill' })
+			.raw()
+			.toBuffer();
+	}
+
+	// Resize a tile through its pyramid, decoding the photo only when it has
+	// no pyramid yet or one too small for the requested size
+	async resizeTileFromPyramid(tilePath, tileSize, tileHeight = tileSize) {
+		const pyramidKey = tilePath + this.getTileFitKey();
+		let pyramid = this.tilePyramids.get(pyramidKey);
+		if (pyramid) {
+			// Move to the most recently used end
+			this.tilePyramids.delete(pyramidKey);
+			this.tilePyramids.set(pyramidKey, pyramid);
+			const buffer = await this.resizeFromTilePyramid(
+				pyramid,
+				tileSize,
+				tileHeight
+			);
+			if (buffer) return buffer;
+		}
+
+		// Requests for the same photo share one build
+		let build = this.tilePyramidBuilds.get(pyramidKey);
+		if (!build) {
+			build = this.buildTilePyramid(tilePath, tileSize, tileHeight);
+			this.tilePyramidBuilds.set(pyramidKey, build);
+			build.then(
+				(built) => {
+					this.tilePyramidBuilds.delete(pyramidKey);
+					const previous = this.tilePyramids.get(pyramidKey);
+					if (previous) {
+						this.tilePyramids.delete(pyramidKey);
+						this.tileBufferCacheBytes -= previous.bytes;
+					}
+					this.tilePyramids.set(pyramidKey, built);
+					this.tileBufferCacheBytes += built.bytes;
+					this.trimMemoryCache(pyramidKey);
+				},
+				() => this.tilePyramidBuilds.delete(pyramidKey)
+			);
+		}
+		pyramid = await build;
+		return this.resizeFromTilePyramid(pyramid, tileSize, tileHeight);
+	}
+
+	// Get cached tile buffer with on-demand loading and disk caching
+	async getCachedTileBuffer(tilePath, tileSize, tileHeight = tileSize) {
+		const cacheKey =
+			tilePath +
+			`_${getTileSizeKey(tileSize, tileHeight)}` +
+			this.getTileFitKey();
+		this.cacheStats.totalRequests++;
+
+		// Return cached buffer if available in memory
+		if (this.tileBufferCache.has(cacheKey)) {
+			this.cacheStats.memoryHits++;
+			// Move to the most recently used end
+			const buffer = this.tileBufferCache.get(cacheKey);
+			this.tileBufferCache.delete(cacheKey);
+			this.tileBufferCache.set(cacheKey, buffer);
+			return buffer;
+		}
+		this.cacheStats.memoryMisses++;
+
+		// Skip if already known to be corrupted
+		if (this.corruptedTiles.has(tilePath)) {
+			return null;
+		}
+
+		// Try to load from disk cache first
+		let buffer = await this.loadTileBufferFromDisk(
+			tilePath,
+			tileSize,
+			tileHeight
+		);
+
+		if (buffer) {
+			// Cache hit - store in memory and return
+			this.cacheStats.diskHits++;
+			this.storeTileBuffer(cacheKey, buffer);
+			return buffer;
+		}
+
+		// Cache miss - load and cache the tile buffer on-demand
+		this.cacheStats.cacheMisses++;
+		try {
+			if (this.tilePyramidScale > 0) {
+				buffer = await this.resizeTileFromPyramid(
+					tilePath,
+					tileSize,
+					tileHeight
+				);
+			} else {
+				this.cacheStats.tileDecodes++;
+				buffer = await this.resizeTile(tilePath, tileSize, tileHeight)
+					.raw()
+					.toBuffer();
+			}
+
+			// Store in memory cache immediately
+			this.storeTileBuffer(cacheKey, buffer);
+
+			// Queue for disk write, writing the queue out once it's full
+			this.queueTileBufferForDisk(tilePath, tileSize, tileHeight, buffer);
+			await this.flushFullDiskQueue();
+
+			return buffer;
+		} catch (error) {
+			console.warn(`Failed to load tile: ${tilePath} - ${error.message}`);
+			this.corruptedTiles.add(tilePath);
+			return null;
+		}
+	}
+
+	// Tiles and bytes in the disk cache per tile size ("24", "24x18", ...)
+	async getDiskCacheUsage() {
+		const usage = new Map();
+		try {
+			for (const atlas of await this.listTileAtlases()) {
+				usage.set(atlas.sizeKey, {
+					tiles: atlas.entries.size,
+					bytes: atlas.dataLength,
+				});
+			}
+		} catch (error) {
+			// No disk cache
+		}
+		return usage;
+	}
+
+	// Print cache statistics
+	async printCacheStats(tileSize) {
+		const stats = this.cacheStats;
+		const hitRate =
+			stats.totalRequests > 0
+				? (
+						((stats.memoryHits + stats.diskHits) / stats.totalRequests) *
+						100
+				  ).toFixed(1)
+				: '0.0';
+
+		console.log(`Cache stats for ${tileSize}px tiles:`);
+		console.log(`  Memory hits: ${stats.memoryHits}`);
+		console.log(`  Memory misses: ${stats.memoryMisses}`);
+		console.log(
+			`  Memory evictions: ${stats.memoryEvictions} (${
+				this.tileBufferCache.size
+			} buffers${
+				this.tilePyramids.size > 0
+					? ` and ${this.tilePyramids.size} pyramids`
+					: ''
+			}, ${formatBytes(this.tileBufferCacheBytes)}${
+				this.memoryCacheMaxBytes > 0
+					? ` of ${formatBytes(this.memoryCacheMaxBytes)}`
+					: ''
+			} in memory)`
+		);
+		console.log(`  Disk hits: ${stats.diskHits}`);
+		console.log(`  Cache misses: ${stats.cacheMisses}`);
+		console.log(`  Tile decodes: ${stats.tileDecodes}`);
+		console.log(`  Total requests: ${stats.totalRequests}`);
+		console.log(`  Hit rate: ${hitRate}%`);
+
+		// Pending writes would be missing from the disk usage, and the limits
+		// not yet applied to them
+		await this.maintainDiskCache();
+		const usage = await this.getDiskCacheUsage();
+		let totalTiles = 0;
+		let totalBytes = 0;
+		const sizeKeys = Array.from(usage.keys()).sort(
+			(a, b) => parseInt(a) - parseInt(b) || a.localeCompare(b)
+		);
+		for (const sizeKey of sizeKeys) {
+			const { tiles, bytes } = usage.get(sizeKey);
+			console.log(
+				`  Disk cache ${sizeKey}px: ${tiles} tiles, ${formatBytes(bytes)}`
+			);
+			totalTiles += tiles;
+			totalBytes += bytes;
+		}
+		console.log(
+			`  Disk cache total: ${totalTiles} tiles, ${formatBytes(totalBytes)}${
+				this.diskCacheMaxBytes > 0
+					? ` (limit ${formatBytes(this.diskCacheMaxBytes)})`
+					: ''
+			}`
+		);
+	}
+
+	// Convert a target color for the current metric once rather than per candidate
+	prepareTargetColor(targetColor) {
+		if (this.colorMetric === 'lab76' || this.colorMetric === 'lab2000') {
+			targetColor = withLab(targetColor);
+			if (targetColor.signature) {
+				targetColor.signature = targetColor.signature.map(withLab);
+			}
+		}
+		return targetColor;
+	}
+
+	// Feature vector used by the tile index: the color (or signature colors) in
+	// Lab for Lab metrics, RGB otherwise
+	getColorFeatures(color) {
+		const useLab =
+			this.colorMetric === 'lab76' || this.colorMetric === 'lab2000';
+		const colors =
+			this.signatureGrid > 1 && color.signature ? color.signature : [color];
+		const features = [];
+		for (const c of colors) {
+			if (useLab) {
+				const { labL, labA, labB } = withLab(c);
+				features.push(labL, labA, labB);
+			} else {
+				features.push(c.r, c.g, c.b);
+			}
+		}
+		return features;
+	}
+
+	// Build the nearest-neighbour index over all non-corrupted tiles
+	buildTileIndex(tiles) {
+		const startTime = new Date();
+		this.tileIndex = new TileIndex(
+			tiles.filter((tile) => !this.corruptedTiles.has(tile.path)),
+			(tile) => this.getColorFeatures(tile)
+		);
+		console.log(
+			`Indexed ${this.tileIndex.size} tiles in ${(
+				(new Date() - startTime) /
+				1000
+			).toFixed(1)} secs`
+		);
+	}
+
+	// Find the best matching tile using the tile index, dropping corrupted tiles
+	// from the index as they are encountered. When `isAllowed` is given, the
+	// search widens until it finds the best tile passing it, and only ignores it
+	// if no live tile does. Falls back to a linear scan of all tiles once the
+	// index has nothing left
+	findBestTileIndexed(targetColor, isAllowed = null) {
+		targetColor = this.prepareTargetColor(targetColor);
+		const exact = this.colorMetric === 'rgb' || this.colorMetric === 'lab76';
+		const features = this.getColorFeatures(targetColor);
+		let k = exact ? 1 : approximateMatchCandidates;
+
+		while (this.tileIndex && this.tileIndex.liveCount > 0) {
+			const candidates = this.tileIndex.nearest(features, k);
+
+			const corrupted = candidates.filter((tile) =>
+				this.corruptedTiles.has(tile.path)
+			);
+			if (corrupted.length > 0) {
+				corrupted.forEach((tile) => this.tileIndex.remove(tile));
+				continue;
+			}
+
+			// Re-rank by the real metric when the index only approximates it
+			let ranked = candidates;
+			if (!exact) {
+				const distances = new Map(
+					candidates.map((tile) => [
+						tile,
+						this.tileDistanceSq(targetColor, tile),
+					])
+				);
+				ranked = candidates
+					.slice()
+					.sort((a, b) => distances.get(a) - distances.get(b));
+			}
+
+			if (!isAllowed) {
+				return ranked[0];
+			}
+			const allowedTile = ranked.find(isAllowed);
+			if (allowedTile) {
+				return allowedTile;
+			}
+			if (candidates.length >= this.tileIndex.liveCount) {
+				return ranked[0]; // Every tile is excluded, relax the constraint
+			}
+			k *= 4;
+		}
+
+		return this.findBestTile(targetColor, this.lastTiles);
+	}
+
+	// Create a picker that finds the best tile for each cell while enforcing a
+	// per-tile use limit (0 = unlimited) and the minimum repeat distance. Cells
+	// must be picked in row-major order. Once every tile reaches its limit the
+	// index is rebuilt and tiles are reused for the remaining cells
+	createTilePicker(tiles, useLimit, minRepeatDistance) {
+		const useCounts = new Map(); // Map<tilePath, placements>
+		const placements = new Map(); // Map<tilePath, [{ x, y }]> in placement order
+		const photoPlacements = new Map(); // Map<photo path, [{ x, y, path }]>
+		const separateVariants = this.tileVariants.length > 1;
+		const picker = { reuseFallback: false };
+
+		if (minRepeatDistance > 0) {
+			console.log(
+				`Keeping identical tiles at least ${minRepeatDistance} cells apart`
+			);
+		}
+		if (useLimit > 1) {
+			console.log(`Using each tile at most ${useLimit} times`);
+		}
+
+		picker.pick = (targetColor, x, y) => {
+			// Skip tiles placed too close by, and variants of photos whose other
+			// variants sit in a neighbouring cell
+			const checks = [];
+			if (minRepeatDistance > 0) {
+				checks.push((tile) =>
+					isFarFromPlacements(
+						placements.get(tile.path),
+						x,
+						y,
+						minRepeatDistance
+					)
+				);
+			}
+			if (separateVariants) {
+				checks.push((tile) =>
+					isApartFromVariants(
+						photoPlacements.get(splitTileVariant(tile.path).file),
+						tile.path,
+						x,
+						y
+					)
+				);
+			}
+			const isAllowed =
+				checks.length > 0
+					? (tile) => checks.every((check) => check(tile))
+					: null;
+			const bestTile = this.findBestTileIndexed(targetColor, isAllowed);
+
+			if (minRepeatDistance > 0) {
+				if (!placements.has(bestTile.path)) {
+					placements.set(bestTile.path, []);
+				}
+				placements.get(bestTile.path).push({ x, y });
+			}
+			if (separateVariants) {
+				const photo = splitTileVariant(bestTile.path).file;
+				if (!photoPlacements.has(photo)) {
+					photoPlacements.set(photo, []);
+				}
+				photoPlacements.get(photo).push({ x, y, path: bestTile.path });
+			}
+
+			// Retire the tile once it reaches its use limit
+			if (useLimit > 0 && !picker.reuseFallback) {
+				const uses = (useCounts.get(bestTile.path) || 0) + 1;
+				useCounts.set(bestTile.path, uses);
+				if (uses >= useLimit) {
+					this.tileIndex.remove(bestTile);
+				}
+				if (this.tileIndex.liveCount === 0) {
+					// Fallback to all tiles if we run out
+					console.log(
+						'\nAll tiles reached their use limit, reusing tiles for remaining cells'
+					);
+					this.buildTileIndex(tiles);
+					picker.reuseFallback = true;
+				}
+			}
+
+			return bestTile;
+		};
+
+		return picker;
+	}
+
+	// Improve a use-limited assignment (e.g. --no-reuse) by local search: each
+	// cell tries its nearest tiles, taking one with uses to spare or swapping
+	// with a cell that holds it whenever that lowers the total color error.
+	// This removes the quality gradient left by greedy row-major assignment.
+	// `assignment` holds one tile per cell (row-major) and is updated in place
+	refineAssignment(
+		assignment,
+		targets,
+		tiles,
+		mosaicWidth,
+		useLimit,
+		minRepeatDistance = 0
+	) {
+		const startTime = new Date();
+		const index = new TileIndex(
+			tiles.filter((tile) => !this.corruptedTiles.has(tile.path)),
+			(tile) => this.getColorFeatures(tile)
+		);
+		const cost = (cell, tile) => this.tileDistanceSq(targets[cell], tile);
+
+		const owners = new Map(); // Map<tilePath, Set<cellIndex>>
+		const own = (tile, cell) => {
+			if (!owners.has(tile.path)) owners.set(tile.path, new Set());
+			owners.get(tile.path).add(cell);
+		};
+		assignment.forEach((tile, cell) => own(tile, cell));
+
+		// Whether any cell other than `cell` and `ignoreCell` holding `tilePath`
+		// lies closer than `distance` to `cell`
+		const isNear = (tilePath, cell, ignoreCell, distance) => {
+			const x = cell % mosaicWidth;
+			const y = Math.floor(cell / mosaicWidth);
+			for (const other of owners.get(tilePath) || []) {
+				if (other === cell || other === ignoreCell) continue;
+				const dx = x - (other % mosaicWidth);
+				const dy = y - Math.floor(other / mosaicWidth);
+				if (dx * dx + dy * dy < distance * distance) {
+					return true;
+				}
+			}
+			return false;
+		};
+
+		// Whether `tile` can sit at `cell` given the repeat distance and the
+		// --augment neighbour rule, ignoring the cell it is being swapped with
+		const fits = (tile, cell, ignoreCell) => {
+			if (
+				minRepeatDistance > 0 &&
+				isNear(tile.path, cell, ignoreCell, minRepeatDistance)
+			) {
+				return false;
+			}
+			if (this.tileVariants.length > 1) {
+				const { file } = splitTileVariant(tile.path);
+				for (const variant of this.tileVariants) {
+					const variantPath = getTileVariantPath(file, variant);
+					if (
+						variantPath !== tile.path &&
+						isNear(variantPath, cell, ignoreCell, variantNeighbourDistance)
+					) {
+						return false;
+					}
+				}
+			}
+			return true;
+		};
+
+		const totalCost = () =>
+			assignment.reduce((sum, tile, cell) => sum + cost(cell, tile), 0);
+		const initialCost = totalCost();
+
+		for (let pass = 1; pass <= maxRefinePasses; pass++) {
+			let improvements = 0;
+
+			for (let cell = 0; cell < assignment.length; cell++) {
+				const current = assignment[cell];
+				const currentCost = cost(cell, current);
+				if (currentCost === 0) continue;
+
+				const candidates = index.nearest(
+					this.getColorFeatures(targets[cell]),
+					refineCandidates
+				);
+				for (const candidate of candidates) {
+					if (candidate === current) continue;
+					const candidateCost = cost(cell, candidate);
+					if (candidateCost >= currentCost) continue;
+
+					const holders = owners.get(candidate.path) || new Set();
+					let improved = false;
+
+					if (holders.size < useLimit && fits(candidate, cell, -1)) {
+						// The tile has uses to spare, take it
+						owners.get(current.path).delete(cell);
+						own(candidate, cell);
+						assignment[cell] = candidate;
+						improved = true;
+					} else {
+						// Swap with a cell holding the tile if that lowers the total
+						for (const other of holders) {
+							const gain =
+								currentCost +
+								cost(other, candidate) -
+								candidateCost -
+								cost(other, current);
+							if (
+								gain > 0 &&
+								fits(candidate, cell, other) &&
+								fits(current, other, cell)
+							) {
+								holders.delete(other);
+								own(candidate, cell);
+								owners.get(current.path).delete(cell);
+								own(current, other);
+								assignment[cell] = candidate;
+								assignment[other] = current;
+								improved = true;
+								break;
+							}
+						}
+					}
+
+					if (improved) {
+						improvements++;
+						break;
+					}
+				}
+			}
+
+			process.stdout.write(
+				`\rRefinement pass ${pass}: ${improvements} improvements`
+			);
+			if (improvements === 0) break;
+		}
+		console.log('');
+
+		const finalCost = totalCost();
+		console.log(
+			`Assignment error reduced by ${(initialCost > 0
+				? (1 - finalCost / initialCost) * 100
+				: 0
+			).toFixed(1)}% in ${((new Date() - startTime) / 1000).toFixed(1)} secs`
+		);
+	}
+
+	// Find the best matching tile for a given color by scanning all tiles
+	findBestTile(targetColor, tiles) {
+		// Filter out corrupted tiles upfront
+		const validTiles = tiles.filter(
+			(tile) => !this.corruptedTiles.has(tile.path)
+		);
+
+		// If no valid tiles remain, throw an error
+		if (validTiles.length === 0) {
+			throw new Error('No valid tiles available - all tiles are corrupted');
+		}
+
+		targetColor = this.prepareTargetColor(targetColor);
+
+		let bestTile = validTiles[0];
+		let bestDistance = this.tileDistanceSq(targetColor, bestTile);
+
+		for (let i = 1; i < validTiles.length; i++) {
+			const distance = this.tileDistanceSq(targetColor, validTiles[i]);
+			if (distance < bestDistance) {
+				bestDistance = distance;
+				bestTile = validTiles[i];
+			}
+		}
+
+		return bestTile;
+	}
+
+	// Settings that tile colors depend on, stored with the tile index so
+	// an index built with other settings is detected as stale
+	getTileIndexMeta(signatureGrid = this.signatureGrid) {
+		return {
+			version: tileIndexVersion,
+			tileSize: getTileSizeKey(this.tileSize, this.tileHeight || this.tileSize),
+			fit:
+				this.tileFit === 'cover'
+					? `${this.tileFit}-${this.tileCrop}`
+					: this.tileFit,
+			shape: this.getTileShapeKey().slice(1) || 'square',
+			signature: signatureGrid > 1 ? `grid${signatureGrid}` : 'mean',
+		};
+	}
+
+	// List how a loaded index's settings differ from the current ones. Any
+	// index is usable for mean color matching, since every record stores its
+	// mean color; a signature grid must match the requested one exactly
+	getStaleTileIndexFields(meta) {
+		const current = this.getTileIndexMeta();
+		return ['version', 'tileSize', 'fit', 'shape', 'signature']
+			.filter(
+				(field) =>
+					String(meta[field]) !== String(current[field]) &&
+					!(field === 'signature' && current.signature === 'mean')
+			)
+			.map((field) => `${field} ${meta[field]}, expected ${current[field]}`);
+	}
+
+	// Load a tile index written by saveTileIndex, in the format given by its
+	// extension (.csv or .jsonl, optionally followed by .partial). Returns
+	// { tiles, meta }, or null if the file doesn't exist or can't be read.
+	// Unversioned path,r,g,b CSV files from older releases are migrated in place
+	async loadTileIndex(indexPath) {
+		let text;
+		try {
+			text = await fs.readFile(indexPath, 'utf-8');
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				console.warn(
+					`Could not read tile index ${indexPath}: ${error.message}`
+				);
+			}
+			return null;
+		}
+
+		try {
+			const format = getTileIndexFormat(indexPath);
+			let meta;
+			let records;
+			if (format === 'jsonl') {
+				const lines = text.split('\n').filter((line) => line.trim());
+				meta = JSON.parse(lines[0]);
+				records = lines.slice(1).map((line) => JSON.parse(line));
+			} else {
+				// A plain RFC 4180 table, with its settings in a JSON sidecar
+				meta = await readTileIndexMeta(indexPath);
+				const isCurrent =
+					text.slice(0, text.search(/\r?\n/)) === tileIndexColumns.join(',');
+				if (meta || isCurrent) {
+					const [columns, ...rows] = parseCsv(text);
+					records = rows.map((row) =>
+						Object.fromEntries(columns.map((column, i) => [column, row[i]]))
 					);
+					// Without its sidecar the settings are unknown, so every tile
+					// is re-analyzed
+					meta = meta || {};
+				} else {
+					records = parseLegacyTileCsv(text);
+				}
+			}
+
+			if (
+				meta &&
+				meta.format !== undefined &&
+				meta.format !== 'zoomsaic-tiles'
+			) {
+				throw new Error(`unknown format "${meta.format}"`);
+			}
+
+			const tiles = [];
+			for (const record of records) {
+				const tileData = parseTileRecord(record);
+				if (tileData && isImage(tileData.path)) {
+					tiles.push(tileData);
+					if (!tileData.corrupt) {
+						this.tileCache.set(tileData.path, tileData);
+					}
+				} else {
+					console.log(`excluding ${record.path}`);
+				}
+			}
+
+			// Rewrite old files in the current format, with Lab colors so they
+			// aren't recomputed on every run. They predate the recorded settings,
+			// so they are assumed to match the current settings
+			if (!meta) {
+				console.log(
+					`Migrating tile index ${indexPath} to version ${tileIndexVersion}`
+				);
+				await this.saveTileIndex(tiles, indexPath);
+				meta = this.getTileIndexMeta(getSignatureGrid(tiles));
+			}
+
+			return { tiles, meta };
+		} catch (error) {
+			console.warn(
+				`Ignoring unreadable tile index ${indexPath}: ${error.message}`
+			);
+			return null;
+		}
+	}
+
+	// Save tiles to an index file in the format given by its extension: JSON
+	// lines after a settings line, or an RFC 4180 table with the settings in a
+	// `.json` sidecar (see getTileIndexMetaPath). The file is written under a
+	// temporary name and renamed, so an interrupted save never leaves a
+	// truncated index behind
+	async saveTileIndex(tiles, indexPath) {
+		try {
+			const meta = {
+				format: 'zoomsaic-tiles',
+				...this.getTileIndexMeta(getSignatureGrid(tiles)),
+			};
+			const format = getTileIndexFormat(indexPath);
+			const records = tiles.map((tile) => formatTileRecord(tile, format));
+			let text;
+			if (format === 'jsonl') {
+				text =
+					[meta, ...records]
+						.map((record) => JSON.stringify(record))
+						.join('\n') + '\n';
+			} else {
+				text =
+					formatCsv([
+						tileIndexColumns,
+						...records.map((record) =>
+							tileIndexColumns.map((column) => record[column])
+						),
+					]) + '\r\n';
+			}
+
+			const tempPath = `${indexPath}.tmp`;
+			await fs.writeFile(tempPath, text, 'utf-8');
+			await fs.rename(tempPath, indexPath);
+			if (format === 'csv') {
+				await writeJsonFile(getTileIndexMetaPath(indexPath), meta);
+			}
+			console.log(`Tile cache saved to ${indexPath}`);
+		} catch (error) {
+			console.warn(`Warning: Could not save cache file: ${error.message}`);
+		}
+	}
+
+	// Zoom into center of image by specified percentage
+	async zoomImage(imagePath, zoomFactor = defaultZoomFactor) {
+		const image = sharp(imagePath);
+		const metadata = await image.metadata();
+
+		const { width, height } = metadata;
+		const newWidth = Math.round(width * zoomFactor);
+		const newHeight = Math.round(height * zoomFactor);
+
+		// Calculate center crop coordinates
+		const left = Math.round((width - newWidth) / 2);
+		const top = Math.round((height - newHeight) / 2);
+
+		// Create a temporary file for the zoomed image
+		const tempPath = imagePath.replace(/(\.[^.]+)$/, '_zoomed$1');
+
+		await image
+			.extract({ left, top, width: newWidth, height: newHeight })
+			.resize(width, height) // Scale back to original dimensions
+			.toFile(tempPath);
+
+		return tempPath;
+	}
+
+	// Generate infinite zoom mosaic sequence
+	async generateInfiniteZoomMosaic(
+		inputImagePath,
+		tilesDirectory,
+		outputPath,
+		options = {}
+	) {
+		const {
+			zoomFactor = defaultZoomFactor, // 10% zoom each iteration
+			maxIterations = null, // null for infinite
+			zoomSteps = defaultZoomSteps, // Number of zoom steps between mosaics
+			...mosaicOptions
+		} = options;
+
+		// Parse output path to get base name and extension
+		const parsedPath = path.parse(outputPath);
+		const baseOutputPath = path.join(parsedPath.dir, parsedPath.name);
+		const extension = parsedPath.ext;
+
+		if (mosaicOptions.export) {
+			throw new Error('--export is not supported with --infinite-zoom');
+		}
+
+		// Each frame gets its own manifest and report, numbered like the frame
+		const getFramePath = (filePath, paddedFrameNumber) => {
+			if (!filePath) {
+				return null;
+			}
+			const { dir, name, ext } = path.parse(filePath);
+			return path.join(dir, `${name}_${paddedFrameNumber}${ext}`);
+		};
+
+		let currentInputPath = inputImagePath;
+		let globalFrameNumber = 0;
+
+		// Each zoom step asks for every tile at a larger size, so decode each
+		// photo once into a pyramid that covers the last step
+		this.tilePyramidScale = Math.pow(1 / zoomFactor, zoomSteps);
+
+		try {
+			while (
+				maxIterations === null ||
+				globalFrameNumber / (zoomSteps + 1) < maxIterations
+			) {
+				const iterationNumber =
+					Math.floor(globalFrameNumber / (zoomSteps + 1)) + 1;
+				console.log(`\n=== ITERATION ${iterationNumber} ===`);
+
+				// Generate mosaic first and capture tile pattern
+				globalFrameNumber++;
+				const paddedFrameNumber = globalFrameNumber.toString().padStart(4, '0');
+				const mosaicOutputPath = `${baseOutputPath}_${paddedFrameNumber}${extension}`;
+
+				console.log(`Generating initial mosaic frame ${globalFrameNumber}...`);
+				const mosaicResult = await this.generateMosaicWithTilePattern(
+					currentInputPath,
+					tilesDirectory,
+					mosaicOutputPath,
+					{
+						...mosaicOptions,
+						manifest: getFramePath(mosaicOptions.manifest, paddedFrameNumber),
+						report: getFramePath(mosaicOptions.report, paddedFrameNumber),
+					}
+				);
+
+				console.log(`Mosaic completed: ${mosaicOutputPath}`);
+
+				let prevZoomTileSize;
+				// Now generate zoom sequence by reusing tile pattern with larger tile sizes
+				for (let zoomStep = 1; zoomStep <= zoomSteps; zoomStep++) {
+					// Write out the tiles the last frame queued for the disk cache,
+					// and bring it back within --cache-max-mb and --cache-max-age
+					await this.maintainDiskCache();
+
+					globalFrameNumber++;
+					const paddedZoomFrame = globalFrameNumber.toString().padStart(4, '0');
+					const zoomOutputPath = `${baseOutputPath}_${paddedZoomFrame}${extension}`;
+
+					console.log(
+						`Creating zoomed mosaic ${zoomStep}/${zoomSteps} (frame ${globalFrameNumber}, zoom step ${zoomStep})...`
+					);
+
+					// Calculate new tile size using zoom step within this iteration
+					// Reset zoom progression for each iteration to maintain smooth transitions
+					const baseTileSize = mosaicOptions.tileSize || defaultTileSize;
+					const zoomMultiplier = Math.pow(1 / zoomFactor, zoomStep);
+					const zoomTileSize = Math.round(baseTileSize * zoomMultiplier);
+					if (prevZoomTileSize == zoomTileSize) {
+						console.log(
+							`Tile size ${zoomTileSize} pixels same as previous step, skipping redundant frame`
+						);
+						continue;
+					}
+					prevZoomTileSize = zoomTileSize;
+					console.log(
+						`Tile size: ${baseTileSize} -> ${zoomTileSize} pixels (continuous zoom factor: ${(
+							zoomTileSize / baseTileSize
+						).toFixed(2)}x)`
+					);
+
+					// Get target output dimensions (same as original)
+					const targetWidth = mosaicResult.width;
+					const targetHeight = mosaicResult.height;
+
+					if (mosaicResult.manifest) {
+						await this.saveManifest(
+							getFramePath(mosaicOptions.manifest, paddedZoomFrame),
+							{
+								...this.getZoomedManifest(
+									mosaicResult.manifest,
+									zoomTileSize / baseTileSize,
+									targetWidth,
+									targetHeight
+								),
+								output: zoomOutputPath,
+							}
+						);
+					}
+
+					// Adaptive and shaped layouts scale their cells instead of a grid
+					if (mosaicResult.tileCells) {
+						await this.generateZoomedMosaicFromCells(
+							mosaicResult.tileCells,
+							mosaicResult.width,
+							mosaicResult.height,
+							zoomTileSize / baseTileSize,
+							targetWidth,
+							targetHeight,
+							zoomOutputPath,
+							mosaicResult.inputImagePath,
+							mosaicResult.tileGeometry
+						);
+						console.log(`Zoomed mosaic completed: ${zoomOutputPath}`);
+						continue;
+					}
+
+					// Generate zoomed mosaic using same tile pattern but larger tiles
+					await this.generateZoomedMosaicFromPattern(
+						mosaicResult.tilePattern,
+						mosaicResult.mosaicWidth,
+						mosaicResult.mosaicHeight,
+						zoomTileSize,
+						targetWidth,
+						targetHeight,
+						zoomOutputPath,
+						mosaicResult.tiles, // Pass tiles for optimization
+						mosaicResult.inputData, // Cell colors for blending
+						mosaicResult.inputImagePath // Source for the overlay
+					);
+
+					console.log(`Zoomed mosaic completed: ${zoomOutputPath}`);
+				}
+
+				// Set up for next iteration - use the last zoomed frame
+				currentInputPath = `${baseOutputPath}_${globalFrameNumber
+					.toString()
+					.padStart(4, '0')}${extension}`;
+
+				// Optional: Add a small delay to prevent system overload
+				await new Promise((resolve) => setTimeout(resolve, 1000));
+			}
+		} catch (error) {
+			console.error(`Error during frame ${globalFrameNumber}:`, error.message);
+			throw error;
+		}
+
+		console.log(
+			`\nInfinite zoom mosaic completed ${globalFrameNumber} frames!`
+		);
+	}
+
+	// Generate a mosaic whose cells are split quadtree-style into smaller tiles
+	// where the input has high local detail. Each of the mosaicWidth x
+	// mosaicHeight blocks starts at tileSize and halves down to minTileSize
+	async generateAdaptiveMosaic(
+		inputImagePath,
+		outputPath,
+		tiles,
+		{
+			mosaicWidth,
+			mosaicHeight,
+			tileSize,
+			minTileSize,
+			detailThreshold,
+			useLimit,
+			minRepeatDistance,
+			assignment,
+		}
+	) {
+		const grid = this.signatureGrid;
+		if (assignment === 'optimal') {
+			console.warn('--assignment optimal is not supported with --adaptive');
+		}
+		// Cells of every level use the same tiles at different sizes
+		this.tilePyramidScale = Math.max(this.tilePyramidScale, 1);
+
+		// Sample the input so the smallest cell covers grid x grid pixels
+		console.log('Analyzing input image detail...');
+		const unitsPerBlock = tileSize / minTileSize;
+		const sampleWidth = mosaicWidth * unitsPerBlock * grid;
+		const sampleHeight = mosaicHeight * unitsPerBlock * grid;
+		const { data: sampleData } = await sharp(inputImagePath)
+			.resize(sampleWidth, sampleHeight)
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+
+		const cells = [];
+		const splitCell = (x, y, size) => {
+			// Copy out the cell's samples
+			const span = (size / minTileSize) * grid;
+			const left = (x / minTileSize) * grid;
+			const top = (y / minTileSize) * grid;
+			const pixels = Buffer.alloc(span * span * 3);
+			for (let row = 0; row < span; row++) {
+				const start = ((top + row) * sampleWidth + left) * 3;
+				sampleData.copy(pixels, row * span * 3, start, start + span * 3);
+			}
+
+			if (size > minTileSize && getLuminanceStdDev(pixels) > detailThreshold) {
+				const half = size / 2;
+				splitCell(x, y, half);
+				splitCell(x + half, y, half);
+				splitCell(x, y + half, half);
+				splitCell(x + half, y + half, half);
+				return;
+			}
+
+			const [target] = getColorSignature(pixels, span, span, 1);
+			if (grid > 1) {
+				target.signature = getColorSignature(pixels, span, span, grid);
+			}
+			cells.push({ x, y, width: size, height: size, target });
+		};
+
+		for (let by = 0; by < mosaicHeight; by++) {
+			for (let bx = 0; bx < mosaicWidth; bx++) {
+				splitCell(bx * tileSize, by * tileSize, tileSize);
+			}
+		}
+
+		// Match in row-major order of the cell corners so the repeat distance
+		// (measured in minimum-size cells) can be enforced as on a grid
+		cells.sort((a, b) => a.y - b.y || a.x - b.x);
+		console.log(
+			`Generating adaptive mosaic: ${cells.length} cells from ${tileSize}px down to ${minTileSize}px...`
+		);
+
+		this.buildTileIndex(tiles);
+		const picker = this.createTilePicker(tiles, useLimit, minRepeatDistance);
+		cells.forEach((cell, i) => {
+			cell.path = picker.pick(
+				cell.target,
+				cell.x / minTileSize,
+				cell.y / minTileSize
+			).path;
+			if ((i + 1) % 1000 === 0 || i === cells.length - 1) {
+				const progress = Math.round(((i + 1) / cells.length) * 100);
+				process.stdout.write(`\rProgress: ${progress}%`);
+			}
+		});
+		process.stdout.write('\n');
+
+		// Variable-size cells replace the grid pattern
+		this.lastTilePattern = null;
+		this.lastInputData = null;
+		this.lastTileCells = cells;
+		this.lastGeometry = null;
+		this.lastMosaicWidth = mosaicWidth;
+		this.lastMosaicHeight = mosaicHeight;
+
+		const finalWidth = mosaicWidth * tileSize;
+		const finalHeight = mosaicHeight * tileSize;
+		await this.renderCells(
+			cells,
+			finalWidth,
+			finalHeight,
+			inputImagePath,
+			outputPath
+		);
+		await this.writeManifest(
+			inputImagePath,
+			outputPath,
+			finalWidth,
+			finalHeight
+		);
+
+		const qualityReport = await this.reportQuality(
+			inputImagePath,
+			outputPath,
+			finalWidth,
+			finalHeight
+		);
+
+		return {
+			width: finalWidth,
+			height: finalHeight,
+			tilesUsed: cells.length,
+			availableTiles: tiles.length,
+			corruptedTiles: this.corruptedTiles.size,
+			report: qualityReport,
+		};
+	}
+
+	// Generate a mosaic on a rect, brick or hex --layout. Cell colors are
+	// averaged from the input over each cell's own shape, and tiles are matched
+	// row by row as on a square grid
+	async generateLayoutMosaic(
+		inputImagePath,
+		outputPath,
+		tiles,
+		{ geometry, columns, rows, useLimit, minRepeatDistance, assignment }
+	) {
+		if (assignment === 'optimal') {
+			console.warn(
+				`--assignment optimal is not supported with --layout ${geometry.layout}`
+			);
+		}
+
+		const cells = buildLayoutCells(geometry, columns, rows);
+		const finalWidth = columns * geometry.spacing;
+		const finalHeight = rows * geometry.rowStep;
+
+		console.log('Analyzing input image colors...');
+		await this.sampleCellTargets(
+			cells,
+			inputImagePath,
+			finalWidth,
+			finalHeight,
+			geometry
+		);
+
+		console.log(
+			`Generating ${geometry.layout} mosaic: ${
+				cells.length
+			} cells of ${getTileSizeKey(
+				geometry.tileWidth,
+				geometry.tileHeight
+			)}px...`
+		);
+		this.buildTileIndex(tiles);
+		const picker = this.createTilePicker(tiles, useLimit, minRepeatDistance);
+		cells.forEach((cell, i) => {
+			cell.path = picker.pick(
+				cell.target,
+				cell.x / geometry.spacing,
+				cell.row
+			).path;
+			if ((i + 1) % 1000 === 0 || i === cells.length - 1) {
+				const progress = Math.round(((i + 1) / cells.length) * 100);
+				process.stdout.write(`\rProgress: ${progress}%`);
+			}
+		});
+		process.stdout.write('\n');
+
+		// Shaped cells replace the grid pattern
+		this.lastTilePattern = null;
+		this.lastInputData = null;
+		this.lastTileCells = cells;
+		this.lastGeometry = geometry;
+		this.lastMosaicWidth = columns;
+		this.lastMosaicHeight = rows;
+
+		await this.renderCells(
+			cells,
+			finalWidth,
+			finalHeight,
+			inputImagePath,
+			outputPath,
+			geometry
+		);
+		await this.writeManifest(
+			inputImagePath,
+			outputPath,
+			finalWidth,
+			finalHeight
+		);
+
+		// Print cache statistics
+		await this.printCacheStats(geometry.tileWidth);
+
+		const qualityReport = await this.reportQuality(
+			inputImagePath,
+			outputPath,
+			finalWidth,
+			finalHeight
+		);
+
+		return {
+			width: finalWidth,
+			height: finalHeight,
+			tilesUsed: cells.length,
+			availableTiles: tiles.length,
+			corruptedTiles: this.corruptedTiles.size,
+			report: qualityReport,
+		};
+	}
+
+	// Set `target` on each layout cell to the input's average color over the
+	// cell's shape, plus its signature and (for reinhard blending) color spread.
+	// The input is sampled so every cell covers a few pixels per signature cell
+	async sampleCellTargets(
+		cells,
+		inputImagePath,
+		finalWidth,
+		finalHeight,
+		geometry
+	) {
+		const { spacing, rowStep, layout } = geometry;
+		const grid = this.signatureGrid;
+		const scale = Math.max(
+			1,
+			Math.floor(Math.min(geometry.tileWidth, geometry.tileHeight) / (4 * grid))
+		);
+		const sampleWidth = Math.ceil(finalWidth / scale);
+		const sampleHeight = Math.ceil(finalHeight / scale);
+		const { data } = await sharp(inputImagePath)
+			.resize(sampleWidth, sampleHeight)
+			.removeAlpha()
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+		const withSpread = this.blend > 0 && this.blendMode === 'reinhard';
+
+		for (const cell of cells) {
+			const sum = [0, 0, 0];
+			let count = 0;
+			const gridSums = Array.from({ length: grid * grid }, () => [0, 0, 0, 0]);
+			const pixels = [];
+
+			const sx0 = Math.max(0, Math.floor(cell.x / scale));
+			const sx1 = Math.min(
+				sampleWidth,
+				Math.ceil((cell.x + cell.width) / scale)
+			);
+			const sy0 = Math.max(0, Math.floor(cell.y / scale));
+			const sy1 = Math.min(
+				sampleHeight,
+				Math.ceil((cell.y + cell.height) / scale)
+			);
+			for (let sy = sy0; sy < sy1; sy++) {
+				const py = (sy + 0.5) * scale;
+				if (py < cell.y || py >= cell.y + cell.height) continue;
+				for (let sx = sx0; sx < sx1; sx++) {
+					const px = (sx + 0.5) * scale;
+					if (px < cell.x || px >= cell.x + cell.width) continue;
+					const index = (sy * sampleWidth + sx) * 3;
+
+					// Signatures cover the whole tile rectangle, as for tiles
+					const gx = Math.floor(((px - cell.x) / cell.width) * grid);
+					const gy = Math.floor(((py - cell.y) / cell.height) * grid);
+					const gridSum = gridSums[gy * grid + gx];
+					for (let c = 0; c < 3; c++) gridSum[c] += data[index + c];
+					gridSum[3]++;
+
+					if (
+						layout === 'hex' &&
+						!isInsideHexCell(px - cell.cx, py - cell.cy, spacing, rowStep)
+					) {
+						continue;
+					}
+					for (let c = 0; c < 3; c++) sum[c] += data[index + c];
+					count++;
+					if (withSpread) {
+						pixels.push(data[index], data[index + 1], data[index + 2]);
+					}
+				}
+			}
+
+			// Cells hanging over the border may miss every sample, use the nearest
+			if (count === 0) {
+				const sx = Math.min(
+					sampleWidth - 1,
+					Math.max(0, Math.floor((cell.x + cell.width / 2) / scale))
+				);
+				const sy = Math.min(
+					sampleHeight - 1,
+					Math.max(0, Math.floor((cell.y + cell.height / 2) / scale))
+				);
+				const index = (sy * sampleWidth + sx) * 3;
+				for (let c = 0; c < 3; c++) sum[c] = data[index + c];
+				count = 1;
+			}
+
+			const average = (channels, n) =>
+				withLab({
+					r: Math.round(channels[0] / n),
+					g: Math.round(channels[1] / n),
+					b: Math.round(channels[2] / n),
+				});
+			cell.target = average(sum, count);
+			if (grid > 1) {
+				cell.target.signature = gridSums.map((gridSum) =>
+					gridSum[3] > 0 ? average(gridSum, gridSum[3]) : cell.target
+				);
+			}
+			if (withSpread && pixels.length > 0) {
+				cell.target.labStats = getLabStats(pixels);
+			}
+		}
+	}
+
+	// Whether an output is composited in strips instead of one buffer. BigTIFF
+	// is only written by the strip encoder
+	shouldStreamOutput(outputPath, width, height) {
+		return (
+			this.streamOutput ||
+			width * height * 3 > streamingMinBytes ||
+			(this.outputOptions.bigTiff &&
+				this.getOutputFormat(outputPath) === 'tiff')
+		);
+	}
+
+	// Reject output settings the strip encoders can't honor before any work is
+	// done: they only write PNG and TIFF, and have no quality or lossless
+	// settings. Until the output size is known, pass 0 to check --stream and
+	// --bigtiff alone
+	checkStreamedOutput(outputPath, width, height) {
+		if (
+			this.exportFormat ||
+			!this.shouldStreamOutput(outputPath, width, height)
+		) {
+			return;
+		}
+		const format = this.getOutputFormat(outputPath);
+		const reason = this.streamOutput
+			? '--stream'
+			: width * height * 3 > streamingMinBytes
+			? `${width}x${height} is over ${formatBytes(streamingMinBytes)} of pixels`
+			: '--bigtiff';
+		if (format !== 'png' && format !== 'tiff') {
+			throw new Error(
+				`Streamed output (${reason}) must be PNG or TIFF, got ${format}`
+			);
+		}
+		if (this.outputOptions.quality !== null) {
+			throw new Error(
+				`--quality doesn't apply to streamed ${format} output (${reason})`
+			);
+		}
+		if (this.outputOptions.lossless) {
+			throw new Error(
+				`--lossless doesn't apply to streamed ${format} output (${reason}), which is always lossless`
+			);
+		}
+	}
+
+	// Strip encoder of a streamed output, with the output encoder settings
+	createOutputWriter(outputPath, width, height) {
+		const { effort, bigTiff } = this.outputOptions;
+		return createStripWriter(outputPath, width, height, {
+			format: this.getOutputFormat(outputPath),
+			compressionLevel: effort === null ? undefined : effort,
+			bigTiff,
+		});
+	}
+
+	// Validate and apply the --blend and --overlay settings
+	setBlendOptions({ blend, blendMode, overlay, overlayMode }) {
+		if (!(blend >= 0 && blend <= 1)) {
+			throw new Error(`Blend must be between 0 and 1, got ${blend}`);
+		}
+		if (!blendModes.includes(blendMode)) {
+			throw new Error(
+				`Unknown blend mode "${blendMode}" (expected one of: ${blendModes.join(
+					', '
+				)})`
+			);
+		}
+		this.blend = blend;
+		this.blendMode = blendMode;
+		if (blend > 0) {
+			console.log(`Blending tiles toward cell colors: ${blend} (${blendMode})`);
+		}
+
+		if (!(overlay >= 0 && overlay <= 1)) {
+			throw new Error(
+				`Overlay opacity must be between 0 and 1, got ${overlay}`
+			);
+		}
+		if (!overlayModes.includes(overlayMode)) {
+			throw new Error(
+				`Unknown overlay mode "${overlayMode}" (expected one of: ${overlayModes.join(
+					', '
+				)})`
+			);
+		}
+		this.overlay = overlay;
+		this.overlayMode = overlayMode;
+		if (overlay > 0) {
+			console.log(`Overlaying input image: ${overlay} (${overlayMode})`);
+		}
+	}
+
+	// Validate and apply the output encoder settings
+	setOutputOptions(outputPath, { format, quality, effort, lossless, bigTiff }) {
+		const resolved = format && getOutputFormatName(format);
+		if (format && !resolved) {
+			throw new Error(
+				`Unknown output format "${format}" (expected one of: ${outputFormats.join(
+					', '
+				)})`
+			);
+		}
+		this.outputOptions = {
+			format: resolved || null,
+			quality,
+			effort,
+			lossless,
+			bigTiff,
+		};
+
+		const outputFormat = this.exportFormat
+			? this.getExportTileFormat(outputPath)
+			: this.getOutputFormat(outputPath);
+		if (
+			quality !== null &&
+			(!Number.isInteger(quality) || quality < 1 || quality > 100)
+		) {
+			throw new Error(
+				`Quality must be an integer from 1 to 100, got ${quality}`
+			);
+		}
+		if (effort !== null) {
+			const range = outputEffortRanges[outputFormat];
+			if (!range) {
+				throw new Error(`--effort doesn't apply to ${outputFormat} output`);
+			}
+			if (!Number.isInteger(effort) || effort < range[0] || effort > range[1]) {
+				throw new Error(
+					`Effort for ${outputFormat} must be an integer from ${range[0]} to ${range[1]}, got ${effort}`
+				);
+			}
+		}
+		if (lossless && outputFormat === 'jpeg') {
+			throw new Error('JPEG output has no lossless mode');
+		}
+		if (bigTiff && outputFormat !== 'tiff') {
+			throw new Error(`--bigtiff needs TIFF output, got ${outputFormat}`);
+		}
+		console.log(
+			`Output format: ${outputFormat}${
+				quality !== null ? `, quality ${quality}` : ''
+			}${effort !== null ? `, effort ${effort}` : ''}${
+				lossless ? ', lossless' : ''
+			}${bigTiff ? ', BigTIFF' : ''}`
+		);
+		this.checkStreamedOutput(outputPath, 0, 0);
+	}
+
+	// Encoder of an output: --format, else the output extension, else PNG
+	getOutputFormat(outputPath) {
+		return (
+			this.outputOptions.format ||
+			getOutputFormatName(path.extname(outputPath)) ||
+			'png'
+		);
+	}
+
+	// Encoder of --export tiles, JPEG unless --format or the output extension
+	// says otherwise
+	getExportTileFormat(outputPath) {
+		return (
+			this.outputOptions.format ||
+			getOutputFormatName(path.extname(outputPath)) ||
+			'jpeg'
+		);
+	}
+
+	// Apply the encoder of an output to a sharp pipeline
+	encodeOutput(image, outputPath) {
+		return this.encodeImage(image, this.getOutputFormat(outputPath));
+	}
+
+	// Apply an encoder with the --quality, --effort and --lossless settings
+	encodeImage(image, format) {
+		const { quality, effort, lossless } = this.outputOptions;
+		const options = {};
+		if (quality !== null) options.quality = quality;
+		switch (format) {
+			case 'png':
+				// Always lossless; quality only applies to palette PNGs
+				return image.png(effort === null ? {} : { compressionLevel: effort });
+			case 'jpeg':
+				return image.jpeg(options);
+			case 'webp':
+			case 'avif':
+				if (effort !== null) options.effort = effort;
+				return image[format]({ ...options, lossless });
+			case 'tiff':
+				// Lossless unless a quality is given for JPEG compression
+				return image.tiff(
+					quality === null || lossless
+						? { compression: 'deflate', predictor: 'horizontal' }
+						: { compression: 'jpeg', quality }
+				);
+		}
+		throw new Error(`Unknown output format "${format}"`);
+	}
+
+	// Write the mosaic in its --export format instead of one image
+	async exportMosaic(
+		cells,
+		width,
+		height,
+		inputImagePath,
+		outputPath,
+		geometry = null
+	) {
+		if (this.exportFormat === 'html') {
+			await this.exportHtmlViewer(
+				cells,
+				width,
+				height,
+				inputImagePath,
+				outputPath,
+				geometry
+			);
+		} else {
+			await this.exportTilePyramid(
+				cells,
+				width,
+				height,
+				inputImagePath,
+				outputPath,
+				geometry
+			);
+		}
+	}
+
+	// Write the mosaic as a standalone HTML page with pan and zoom, showing
+	// the photo and file name of the tile under the pointer. The mosaic image
+	// and a preview of every placed photo are embedded, so the page works
+	// offline straight from the filesystem
+	async exportHtmlViewer(
+		cells,
+		width,
+		height,
+		inputImagePath,
+		outputPath,
+		geometry = null
+	) {
+		const scale = this.exportCellSize ? this.exportCellSize / this.tileSize : 1;
+		const fullWidth = Math.round(width * scale);
+		const fullHeight = Math.round(height * scale);
+		if (scale !== 1) {
+			this.tilePyramidScale = Math.max(this.tilePyramidScale, scale);
+		}
+		const { dir, name } = path.parse(outputPath);
+		const htmlPath = path.join(dir, `${name}.html`);
+		const imageFormat = this.getExportTileFormat(outputPath);
+
+		const startTime = new Date();
+		console.log(
+			`${new Date().toISOString()} : Exporting ${
+				cells.length
+			} cells as a ${fullWidth}x${fullHeight} HTML viewer...`
+		);
+		const buffer = Buffer.alloc(fullWidth * fullHeight * 3);
+		await this.placeCells(
+			cells,
+			buffer,
+			fullWidth,
+			fullHeight,
+			scale,
+			0,
+			geometry
+		);
+		await this.applyOverlay(buffer, inputImagePath, fullWidth, fullHeight);
+		const image = await this.encodeImage(
+			sharp(buffer, {
+				raw: { width: fullWidth, height: fullHeight, channels: 3 },
+			}),
+			imageFormat
+		).toBuffer();
+
+		// One preview per photo, shared by its --augment variants, linked to
+		// the original relative to the page
+		const manifest = this.getManifest(inputImagePath, htmlPath, width, height);
+		const photoIndexes = new Map(); // Map<file, index in photos>
+		const photos = [];
+		for (const cell of manifest.cells) {
+			const { file } = splitTileVariant(cell.path);
+			if (!photoIndexes.has(file)) {
+				photoIndexes.set(file, photos.length);
+				photos.push({
+					file,
+					name: path.basename(file),
+					href: path
+						.relative(dir || '.', file)
+						.split(path.sep)
+						.map(encodeURIComponent)
+						.join('/'),
+				});
+			}
+		}
+		console.log(`Embedding previews of ${photos.length} tile photos...`);
+		const BATCH_SIZE = 16;
+		for (let i = 0; i < photos.length; i += BATCH_SIZE) {
+			await Promise.all(
+				photos.slice(i, i + BATCH_SIZE).map(async (photo) => {
+					try {
+						const preview = await sharp(photo.file)
+							.rotate()
+							.resize(htmlPreviewSize, htmlPreviewSize, {
+								fit: 'inside',
+								withoutEnlargement: true,
+							})
+							.jpeg({ quality: 80 })
+							.toBuffer();
+						photo.src = `data:image/jpeg;base64,${preview.toString('base64')}`;
+					} catch (error) {
+						console.warn(
+							`Could not preview tile photo ${photo.file}: ${error.message}`
+						);
+						photo.src = null;
+					}
+				})
+			);
+		}
+
+		const page = getHtmlViewerPage(
+			name,
+			`data:image/${imageFormat};base64,${image.toString('base64')}`,
+			{
+				width: fullWidth,
+				height: fullHeight,
+				colorMetric: manifest.colorMetric,
+				photos: photos.map(({ name, href, src }) => ({ name, href, src })),
+				// [x, y, width, height, photo, variant, error] as drawn in the image
+				cells: manifest.cells.map((cell) => {
+					const x0 = Math.round(cell.x * scale);
+					const y0 = Math.round(cell.y * scale);
+					const { file, variant } = splitTileVariant(cell.path);
+					return [
+						x0,
+						y0,
+						Math.round((cell.x + cell.width) * scale) - x0,
+						Math.round((cell.y + cell.height) * scale) - y0,
+						photoIndexes.get(file),
+						variant,
+						cell.error,
+					];
+				}),
+			}
+		);
+		await fs.writeFile(htmlPath, page);
+
+		console.log(
+			`HTML viewer saved to: ${htmlPath} (${formatBytes(
+				Buffer.byteLength(page)
+			)}) in ${((new Date() - startTime) / 1000).toFixed(0)} secs`
+		);
+		console.log(`Final size: ${fullWidth}x${fullHeight} pixels`);
+	}
+
+	// Write the mosaic as a --export tile pyramid instead of one image. The
+	// deepest level draws each cell from its original photo with tiles
+	// exportCellSize pixels wide, strip by strip; the levels above it are
+	// halved from it as it is written
+	async exportTilePyramid(
+		cells,
+		width,
+		height,
+		inputImagePath,
+		outputPath,
+		geometry = null
+	) {
+		const scale =
+			(this.exportCellSize || defaultExportCellSize) / this.tileSize;
+		const fullWidth = Math.round(width * scale);
+		const fullHeight = Math.round(height * scale);
+		// Decode each photo once, however many sizes its scaled cells round to
+		this.tilePyramidScale = Math.max(this.tilePyramidScale, scale);
+
+		const startTime = new Date();
+		console.log(
+			`${new Date().toISOString()} : Exporting ${
+				cells.length
+			} cells as a ${fullWidth}x${fullHeight} ${this.exportFormat.toUpperCase()} tile pyramid...`
+		);
+		const tileFormat = this.getExportTileFormat(outputPath);
+		const writer = new TilePyramidWriter(outputPath, fullWidth, fullHeight, {
+			format: this.exportFormat,
+			tileSize: exportTileSize,
+			baseUrl: this.exportBaseUrl,
+			tileFormat,
+			encode: (image) => this.encodeImage(image, tileFormat),
+		});
+		await this.writeStreamedImage(
+			writer,
+			fullWidth,
+			fullHeight,
+			exportTileSize,
+			inputImagePath,
+			(strip, top, rows) =>
+				this.placeCells(
+					cells.filter(
+						(cell) =>
+							Math.round(cell.y * scale) < top + rows &&
+							Math.round((cell.y + cell.height) * scale) > top
+					),
+					strip,
+					fullWidth,
+					rows,
+					scale,
+					top,
+					geometry
+				)
+		);
+
+		console.log(
+			`Tile pyramid saved to: ${writer.descriptorPath} in ${(
+				(new Date() - startTime) /
+				1000
+			).toFixed(0)} secs`
+		);
+		console.log(
+			`Final size: ${fullWidth}x${fullHeight} pixels in ${writer.levels.length} levels`
+		);
+	}
+
+	// Composite an image strip by strip into a strip writer (a PNG or TIFF
+	// encoder, or a TilePyramidWriter), so memory stays bounded by the strip
+	// size. renderStrip(strip, top, height) fills a buffer of `height`
+	// full-width rows starting at output row `top`; strips are a multiple of
+	// `rowUnit` rows tall. The overlay is applied per strip
+	async writeStreamedImage(
+		writer,
+		width,
+		height,
+		rowUnit,
+		inputImagePath,
+		renderStrip
+	) {
+		const stripHeight =
+			rowUnit * Math.max(1, Math.floor(stripMaxBytes / (width * rowUnit * 3)));
+		const stripCount = Math.ceil(height / stripHeight);
+		await writer.open();
+
+		for (let top = 0; top < height; top += stripHeight) {
+			const rows = Math.min(stripHeight, height - top);
+			const strip = Buffer.alloc(width * rows * 3);
+			await renderStrip(strip, top, rows);
+			await this.applyOverlay(strip, inputImagePath, width, height, {
+				left: 0,
+				top,
+				width,
+				height: rows,
+			});
+			await writer.write(strip);
+
+			const stripNumber = top / stripHeight + 1;
+			process.stdout.write(
+				`\r${new Date().toISOString()} : Writing strip ${stripNumber} of ${stripCount} (${Math.round(
+					(stripNumber / stripCount) * 100
+				)}%)`
+			);
+		}
+		console.log('');
+		await writer.close();
+	}
+
+	// Composite a list of cells ({ x, y, width, height, path, target }) into
+	// an image, overlay the input and save it
+	async renderCells(
+		cells,
+		finalWidth,
+		finalHeight,
+		inputImagePath,
+		outputPath,
+		geometry = null
+	) {
+		if (this.exportFormat) {
+			await this.exportMosaic(
+				cells,
+				finalWidth,
+				finalHeight,
+				inputImagePath,
+				outputPath,
+				geometry
+			);
+			return;
+		}
+
+		// Pre-cache tiles at every size they are used
+		const pathsBySize = new Map();
+		for (const cell of cells) {
+			const sizeKey = getTileSizeKey(cell.width, cell.height);
+			if (!pathsBySize.has(sizeKey)) {
+				pathsBySize.set(sizeKey, { cell, paths: [] });
+			}
+			pathsBySize.get(sizeKey).paths.push(cell.path);
+		}
+		for (const { cell, paths } of pathsBySize.values()) {
+			await this.preCacheTileBuffers([paths], cell.width, cell.height);
+		}
+
+		const startTime = new Date();
+		console.log(
+			`${new Date().toISOString()} : Compositing ${cells.length} cells...`
+		);
+
+		if (this.shouldStreamOutput(outputPath, finalWidth, finalHeight)) {
+			await this.writeStreamedImage(
+				this.createOutputWriter(outputPath, finalWidth, finalHeight),
+				finalWidth,
+				finalHeight,
+				1,
+				inputImagePath,
+				(strip, top, rows) =>
+					this.placeCells(
+						cells.filter(
+							(cell) => cell.y < top + rows && cell.y + cell.height > top
+						),
+						strip,
+						finalWidth,
+						rows,
+						1,
+						top,
+						geometry
+					)
+			);
+		} else {
+			const finalBuffer = Buffer.alloc(finalWidth * finalHeight * 3);
+			await this.placeCells(
+				cells,
+				finalBuffer,
+				finalWidth,
+				finalHeight,
+				1,
+				0,
+				geometry
+			);
+
+			await this.applyOverlay(
+				finalBuffer,
+				inputImagePath,
+				finalWidth,
+				finalHeight
+			);
+
+			await this.encodeOutput(
+				sharp(finalBuffer, {
+					raw: {
+						width: finalWidth,
+						height: finalHeight,
+						channels: 3,
+					},
+				}),
+				outputPath
+			).toFile(outputPath);
+		}
+
+		console.log(
+			`Mosaic saved to: ${outputPath} in ${(
+				(new Date() - startTime) /
+				1000
+			).toFixed(0)} secs`
+		);
+		console.log(`Final size: ${finalWidth}x${finalHeight} pixels`);
+	}
+
+	// Place cells scaled by `scale` in an output buffer whose first row is row
+	// `cropTop` of the scaled mosaic, in batches
+	async placeCells(
+		cells,
+		outputBuffer,
+		outputWidth,
+		outputHeight,
+		scale,
+		cropTop,
+		geometry
+	) {
+		const BATCH_SIZE = 256;
+		for (let i = 0; i < cells.length; i += BATCH_SIZE) {
+			await Promise.all(
+				cells
+					.slice(i, i + BATCH_SIZE)
+					.map((cell) =>
+						this.placeCell(
+							cell,
+							outputBuffer,
+							outputWidth,
+							outputHeight,
+							scale,
+							0,
+							cropTop,
+							geometry
+						)
+					)
+			);
+		}
+	}
+
+	// Place one cell in an output buffer, with the cell's position and size
+	// scaled by `scale` and offset by the crop origin. Parts outside the output
+	// are clipped, and hex cells are masked to their hexagon
+	async placeCell(
+		cell,
+		outputBuffer,
+		outputWidth,
+		outputHeight,
+		scale = 1,
+		cropLeft = 0,
+		cropTop = 0,
+		geometry = null
+	) {
+		const x0 = Math.round(cell.x * scale);
+		const y0 = Math.round(cell.y * scale);
+		const width = Math.round((cell.x + cell.width) * scale) - x0;
+		const height = Math.round((cell.y + cell.height) * scale) - y0;
+		const left = x0 - cropLeft;
+		const top = y0 - cropTop;
+
+		// Skip if the cell is completely outside the output
+		if (
+			left + width <= 0 ||
+			top + height <= 0 ||
+			left >= outputWidth ||
+			top >= outputHeight
+		) {
+			return;
+		}
+
+		let tileBuffer = await this.getCachedTileBuffer(cell.path, width, height);
+		if (!tileBuffer) {
+			console.warn(`Tile failed during compositing: ${cell.path}`);
+			this.corruptedTiles.add(cell.path);
+			tileBuffer = await this.getReplacementTileBuffer(
+				cell.path,
+				cell.target,
+				width,
+				height
+			);
+		}
 
-					console.log(`Zoomed mosaic completed: ${zoomOutputPath}`);
-				}
+		if (this.blend) {
+			tileBuffer = blendTileColors(
+				tileBuffer,
+				cell.target,
+				this.blend,
+				this.blendMode
+			);
+		}
 
-				// Set up for next iteration - use the last zoomed frame
-				currentInputPath = `${baseOutputPath}_${globalFrameNumber
-					.toString()
-					.padStart(4, '0')}${extension}`;
+		const startX = Math.max(0, left);
+		const endX = Math.min(outputWidth, left + width);
+		const hex = geometry && geometry.layout === 'hex';
+		for (
+			let oy = Math.max(0, top);
+			oy < Math.min(outputHeight, top + height);
+			oy++
+		) {
+			const srcRowStart = (oy - top) * width;
+			const dstRowStart = oy * outputWidth;
+			if (!hex) {
+				tileBuffer.copy(
+					outputBuffer,
+					(dstRowStart + startX) * 3,
+					(srcRowStart + startX - left) * 3,
+					(srcRowStart + endX - left) * 3
+				);
+				continue;
+			}
 
-				// Optional: Add a small delay to prevent system overload
-				await new Promise((resolve) => setTimeout(resolve, 1000));
+			// Test against the scaled lattice so neighbouring cells meet exactly
+			const dy = oy + 0.5 - (cell.cy * scale - cropTop);
+			for (let ox = startX; ox < endX; ox++) {
+				const dx = ox + 0.5 - (cell.cx * scale - cropLeft);
+				if (
+					!isInsideHexCell(
+						dx,
+						dy,
+						geometry.spacing * scale,
+						geometry.rowStep * scale
+					)
+				) {
+					continue;
+				}
+				const src = (srcRowStart + ox - left) * 3;
+				const dst = (dstRowStart + ox) * 3;
+				outputBuffer[dst] = tileBuffer[src];
+				outputBuffer[dst + 1] = tileBuffer[src + 1];
+				outputBuffer[dst + 2] = tileBuffer[src + 2];
 			}
-		} catch (error) {
-			console.error(`Error during frame ${globalFrameNumber}:`, error.message);
-			throw error;
 		}
+	}
 
+	// Render a zoom frame of an adaptive or --layout mosaic: its cells scaled by
+	// `scale`, cropped to the target size. The crop is centered unless `crop`
+	// gives its origin ({ left, top })
+	async generateZoomedMosaicFromCells(
+		tileCells,
+		fullWidth,
+		fullHeight,
+		scale,
+		targetWidth,
+		targetHeight,
+		outputPath,
+		inputImagePath = null,
+		geometry = null,
+		crop = null
+	) {
+		const scaledWidth = Math.round(fullWidth * scale);
+		const scaledHeight = Math.round(fullHeight * scale);
+		const cropLeft = crop
+			? crop.left
+			: Math.round((scaledWidth - targetWidth) / 2);
+		const cropTop = crop
+			? crop.top
+			: Math.round((scaledHeight - targetHeight) / 2);
+		const startTime = new Date();
 		console.log(
-			`\nInfinite zoom mosaic completed ${globalFrameNumber} frames!`
+			`Compositing ${tileCells.length} cells at ${scale.toFixed(
+				2
+			)}x, cropping ${scaledWidth}x${scaledHeight} -> ${targetWidth}x${targetHeight}...`
+		);
+
+		const outputBuffer = Buffer.alloc(targetWidth * targetHeight * 3);
+		const BATCH_SIZE = 256;
+		for (let i = 0; i < tileCells.length; i += BATCH_SIZE) {
+			await Promise.all(
+				tileCells
+					.slice(i, i + BATCH_SIZE)
+					.map((cell) =>
+						this.placeCell(
+							cell,
+							outputBuffer,
+							targetWidth,
+							targetHeight,
+							scale,
+							cropLeft,
+							cropTop,
+							geometry
+						)
+					)
+			);
+		}
+
+		await this.applyOverlay(
+			outputBuffer,
+			inputImagePath,
+			scaledWidth,
+			scaledHeight,
+			{
+				left: Math.max(0, cropLeft),
+				top: Math.max(0, cropTop),
+				width: Math.min(targetWidth, scaledWidth),
+				height: Math.min(targetHeight, scaledHeight),
+			}
+		);
+
+		await this.encodeOutput(
+			sharp(outputBuffer, {
+				raw: { width: targetWidth, height: targetHeight, channels: 3 },
+			}),
+			outputPath
+		).toFile(outputPath);
+
+		console.log(
+			`Zoomed mosaic saved: ${outputPath} in ${(
+				(new Date() - startTime) /
+				1000
+			).toFixed(0)} secs`
 		);
 	}
 
@@ -661,6 +4310,225 @@ class MosaicGenerator {
 			mosaicWidth: this.lastMosaicWidth,
 			mosaicHeight: this.lastMosaicHeight,
 			tiles: this.lastTiles, // Store tiles for zoom operations
+			tileCells: this.lastTileCells, // Cells of adaptive and --layout mosaics
+			tileGeometry: this.lastGeometry, // Cell shape of --layout mosaics
+			manifest: this.lastManifest, // Cells described by --manifest, if any
+			inputData: this.lastInputData,
+			inputImagePath,
+		};
+	}
+
+	// Read a --manifest file, checking it is one this version can render
+	async loadManifest(manifestPath) {
+		const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+		if (
+			manifest.format !== 'zoomsaic-manifest' ||
+			!(manifest.version >= 1 && manifest.version <= manifestVersion)
+		) {
+			throw new Error(
+				`${manifestPath} is not a zoomsaic manifest of version ${manifestVersion} or older`
+			);
+		}
+		// Version 1 paths are relative to the working directory they were
+		// written from, later ones to the manifest
+		if (manifest.version === 1) {
+			return manifest;
+		}
+		return mapManifestPaths(manifest, (filePath) =>
+			path.relative(
+				process.cwd(),
+				path.resolve(path.dirname(manifestPath), filePath)
+			)
+		);
+	}
+
+	// Re-composite a mosaic from the --manifest of an earlier run, without
+	// loading the tile index or matching again. The cells are scaled to
+	// `tileSize` and cropped like a zoom frame, so only the visible cells are
+	// drawn, with this run's blend, overlay and output settings
+	async generateMosaicFromPattern(
+		patternPath,
+		inputImagePath,
+		outputPath,
+		options = {}
+	) {
+		const {
+			tileSize = null, // Tile size to render at (the pattern's if null)
+			crop = null, // { width, height, left, top } of the scaled mosaic, centered if left/top are null
+			manifest = null, // JSON file describing the re-rendered cells
+			cacheDir = defaultDiskCacheDir,
+			cacheMaxMb = 0,
+			cacheMaxAgeHours = 0,
+			memoryCacheMb = 0,
+			stream = false,
+			export: exportFormat = null,
+			format = null,
+			quality = null,
+			effort = null,
+			lossless = false,
+			bigTiff = false,
+			blend = 0,
+			blendMode = defaultBlendMode,
+			overlay = 0,
+			overlayMode = defaultOverlayMode,
+		} = options;
+
+		if (exportFormat) {
+			throw new Error('--export is not supported with --from-pattern');
+		}
+
+		const pattern = await this.loadManifest(patternPath);
+		console.log(
+			`Loaded pattern ${patternPath}: ${pattern.cells.length} cells of ${
+				pattern.tileSize
+			}px (${pattern.layout}${pattern.adaptive ? ', adaptive' : ''})`
+		);
+
+		// Cells whose photo is gone would only be filled with other placed
+		// tiles, so a moved or deleted library is an error
+		const files = new Set(
+			pattern.cells.map((cell) => splitTileVariant(cell.path).file)
+		);
+		// Their stats key the disk cache as in the run that matched them
+		const missing = [];
+		this.tileFileStats = new Map();
+		for (const file of files) {
+			try {
+				const stat = await fs.stat(file);
+				this.tileFileStats.set(file, {
+					size: stat.size,
+					mtime: Math.floor(stat.mtimeMs),
+				});
+			} catch (error) {
+				missing.push(file);
+			}
+		}
+		if (missing.length > 0) {
+			throw new Error(
+				`${missing.length} of the ${
+					files.size
+				} tile photos placed by ${patternPath} can't be read (${missing
+					.slice(0, 3)
+					.join(', ')}${missing.length > 3 ? ', ...' : ''})`
+			);
+		}
+
+		const renderTileSize = tileSize || pattern.tileSize;
+		if (!Number.isInteger(renderTileSize) || renderTileSize < 1) {
+			throw new Error(
+				`Tile size must be a positive integer, got ${renderTileSize}`
+			);
+		}
+		const scale = renderTileSize / pattern.tileSize;
+		const fullWidth = Math.round(pattern.width * scale);
+		const fullHeight = Math.round(pattern.height * scale);
+		const width = crop ? crop.width : fullWidth;
+		const height = crop ? crop.height : fullHeight;
+		const left =
+			crop && crop.left !== null
+				? crop.left
+				: Math.round((fullWidth - width) / 2);
+		const top =
+			crop && crop.top !== null
+				? crop.top
+				: Math.round((fullHeight - height) / 2);
+		if (
+			!(width >= 1 && height >= 1 && left >= 0 && top >= 0) ||
+			left + width > fullWidth ||
+			top + height > fullHeight
+		) {
+			throw new Error(
+				`Crop ${width}x${height}+${left}+${top} is outside the ${fullWidth}x${fullHeight} mosaic`
+			);
+		}
+
+		// Tiles are fitted and compared as when the pattern was matched
+		this.tileSize = renderTileSize;
+		this.colorMetric = pattern.colorMetric;
+		this.tileFit = pattern.tileFit;
+		this.tileCrop = pattern.tileCrop;
+		this.setBlendOptions({ blend, blendMode, overlay, overlayMode });
+		this.exportFormat = null;
+		this.manifestPath = manifest;
+		if (manifest) {
+			await fs.mkdir(path.dirname(manifest), { recursive: true });
+		}
+		this.streamOutput = stream;
+		this.setOutputOptions(outputPath, {
+			format,
+			quality,
+			effort,
+			lossless,
+			bigTiff,
+		});
+		this.checkStreamedOutput(outputPath, width, height);
+		if (!(cacheMaxMb >= 0) || !(cacheMaxAgeHours >= 0)) {
+			throw new Error('Disk cache limits must not be negative');
+		}
+		this.diskCacheMaxBytes = cacheMaxMb * 1024 * 1024;
+		this.diskCacheMaxAgeHours = cacheMaxAgeHours;
+		if (!(memoryCacheMb >= 0)) {
+			throw new Error(
+				`Memory cache budget must not be negative, got ${memoryCacheMb}`
+			);
+		}
+		this.memoryCacheMaxBytes = memoryCacheMb * 1024 * 1024;
+		await this.initializeDiskCache(null, cacheDir);
+
+		// The pattern's tiles, with their indexed colors, stand in for the
+		// library when a tile fails and has to be replaced
+		const tilesByPath = new Map();
+		for (const cell of pattern.cells) {
+			if (cell.tileColor && !tilesByPath.has(cell.path)) {
+				tilesByPath.set(cell.path, { path: cell.path, ...cell.tileColor });
+			}
+		}
+		this.lastTiles = Array.from(tilesByPath.values());
+		this.buildTileIndex(this.lastTiles);
+
+		const cells = pattern.cells.map((cell) => ({
+			...cell,
+			target: cell.targetColor,
+		}));
+		const geometry =
+			pattern.layout === 'square'
+				? null
+				: getLayoutGeometry(
+						pattern.layout,
+						pattern.tileSize,
+						pattern.tileSize / pattern.tileHeight
+				  );
+		await this.generateZoomedMosaicFromCells(
+			cells,
+			pattern.width,
+			pattern.height,
+			scale,
+			width,
+			height,
+			outputPath,
+			inputImagePath,
+			geometry,
+			{ left, top }
+		);
+
+		if (this.manifestPath) {
+			await this.saveManifest(this.manifestPath, {
+				...this.getZoomedManifest(pattern, scale, width, height, {
+					left,
+					top,
+				}),
+				output: outputPath,
+			});
+		}
+
+		await this.printCacheStats(renderTileSize);
+
+		return {
+			width,
+			height,
+			tilesUsed: cells.length,
+			availableTiles: this.lastTiles.length,
+			corruptedTiles: this.corruptedTiles.size,
 		};
 	}
 
@@ -673,7 +4541,9 @@ class MosaicGenerator {
 		targetWidth,
 		targetHeight,
 		outputPath,
-		tiles = null // Add tiles parameter for optimization
+		tiles = null, // Add tiles parameter for optimization
+		inputData = null, // Cell target colors for --blend
+		inputImagePath = null // Image composited by --overlay
 	) {
 		// Use optimized version if tiles are provided
 		console.log(
@@ -693,7 +4563,9 @@ class MosaicGenerator {
 				targetWidth,
 				targetHeight,
 				outputPath,
-				tiles
+				tiles,
+				inputData,
+				inputImagePath
 			);
 		}
 
@@ -729,11 +4601,12 @@ class MosaicGenerator {
 			for (let x = 0; x < mosaicWidth; x++) {
 				const tilePath = tilePattern[y][x];
 				try {
-					const tileBuffer = await sharp(tilePath)
-						.resize(newTileSize, newTileSize)
+					const tileBuffer = await this.resizeTile(tilePath, newTileSize)
 						.raw()
 						.toBuffer();
-					tileBuffers.push(tileBuffer);
+					tileBuffers.push(
+						this.blendTile(tileBuffer, inputData, x, y, mosaicWidth)
+					);
 				} catch (error) {
 					console.warn(`Failed to load tile ${tilePath}, using solid gray`);
 					// Create a solid gray fallback tile
@@ -780,6 +4653,7 @@ class MosaicGenerator {
 		});
 
 		// Crop to target dimensions (center crop)
+		let crop = null;
 		if (fullWidth > targetWidth || fullHeight > targetHeight) {
 			const left = Math.round((fullWidth - targetWidth) / 2);
 			const top = Math.round((fullHeight - targetHeight) / 2);
@@ -788,16 +4662,34 @@ class MosaicGenerator {
 				`Cropping: ${fullWidth}x${fullHeight} -> ${targetWidth}x${targetHeight} (offset: ${left},${top})`
 			);
 
-			image = image.extract({
+			crop = {
 				left: Math.max(0, left),
 				top: Math.max(0, top),
 				width: Math.min(targetWidth, fullWidth),
 				height: Math.min(targetHeight, fullHeight),
+			};
+			image = image.extract(crop);
+		}
+
+		// Overlay the input image, cropped the same way as the tiles
+		if (this.overlay && inputImagePath) {
+			const { data, info } = await image
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			await this.applyOverlay(
+				data,
+				inputImagePath,
+				fullWidth,
+				fullHeight,
+				crop
+			);
+			image = sharp(data, {
+				raw: { width: info.width, height: info.height, channels: 3 },
 			});
 		}
 
 		// Save the final image
-		await image.png().toFile(outputPath);
+		await this.encodeOutput(image, outputPath).toFile(outputPath);
 
 		console.log(
 			`Zoomed mosaic saved: ${outputPath} (${targetWidth}x${targetHeight}) in ${(
@@ -816,7 +4708,9 @@ class MosaicGenerator {
 		targetWidth,
 		targetHeight,
 		outputPath,
-		tiles
+		tiles,
+		inputData = null,
+		inputImagePath = null
 	) {
 		console.log(
 			`SMART CROPPING: ${mosaicWidth}x${mosaicHeight} mosaic with ${newTileSize}px tiles...`
@@ -879,7 +4773,9 @@ class MosaicGenerator {
 				cropTop,
 				targetWidth,
 				targetHeight,
-				outputBuffer
+				outputBuffer,
+				inputData,
+				mosaicWidth
 			);
 
 			rowPromises.push(rowPromise);
@@ -899,12 +4795,27 @@ class MosaicGenerator {
 		}
 		console.log('');
 
+		// Overlay the input image over the same visible region
+		await this.applyOverlay(
+			outputBuffer,
+			inputImagePath,
+			fullWidth,
+			fullHeight,
+			{
+				left: Math.max(0, cropLeft),
+				top: Math.max(0, cropTop),
+				width: Math.min(targetWidth, fullWidth),
+				height: Math.min(targetHeight, fullHeight),
+			}
+		);
+
 		// Save directly without Sharp cropping
-		await sharp(outputBuffer, {
-			raw: { width: targetWidth, height: targetHeight, channels: 3 },
-		})
-			.png()
-			.toFile(outputPath);
+		await this.encodeOutput(
+			sharp(outputBuffer, {
+				raw: { width: targetWidth, height: targetHeight, channels: 3 },
+			}),
+			outputPath
+		).toFile(outputPath);
 
 		console.log(
 			`Smart cropped mosaic saved: ${outputPath} in ${(
@@ -1005,7 +4916,8 @@ class MosaicGenerator {
 		}
 	}
 
-	// Optimized batch processing with cached buffers
+	// Optimized batch processing with cached buffers. finalBuffer starts at
+	// tile row `stripTop` when compositing in strips
 	async processRowBatchOptimized(
 		tileImages,
 		startY,
@@ -1014,7 +4926,8 @@ class MosaicGenerator {
 		tileSize,
 		finalWidth,
 		finalBuffer,
-		inputData
+		inputData,
+		stripTop = 0
 	) {
 		const rowPromises = [];
 
@@ -1026,7 +4939,8 @@ class MosaicGenerator {
 				tileSize,
 				finalWidth,
 				finalBuffer,
-				inputData
+				inputData,
+				stripTop
 			);
 			rowPromises.push(rowPromise);
 		}
@@ -1042,7 +4956,8 @@ class MosaicGenerator {
 		tileSize,
 		finalWidth,
 		finalBuffer,
-		inputData
+		inputData,
+		stripTop = 0
 	) {
 		// Process all tiles in this row in parallel
 		const tilePromises = [];
@@ -1056,7 +4971,8 @@ class MosaicGenerator {
 				finalWidth,
 				finalBuffer,
 				inputData,
-				mosaicWidth
+				mosaicWidth,
+				stripTop
 			);
 			tilePromises.push(tilePromise);
 		}
@@ -1073,7 +4989,8 @@ class MosaicGenerator {
 		finalWidth,
 		finalBuffer,
 		inputData,
-		mosaicWidth
+		mosaicWidth,
+		stripTop = 0
 	) {
 		let tileBuffer = await this.getCachedTileBuffer(tilePath, tileSize);
 
@@ -1083,35 +5000,20 @@ class MosaicGenerator {
 			this.corruptedTiles.add(tilePath);
 
 			// Get target color for replacement
-			const pixelIndex = (y * mosaicWidth + x) * 3;
-			const targetColor = {
-				r: inputData[pixelIndex],
-				g: inputData[pixelIndex + 1],
-				b: inputData[pixelIndex + 2],
-			};
-
-			// Find replacement tile
-			const availableTiles = this.lastTiles.filter(
-				(tile) => !this.corruptedTiles.has(tile.path)
+			const targetColor = this.getTargetColor(inputData, x, y, mosaicWidth);
+			tileBuffer = await this.getReplacementTileBuffer(
+				tilePath,
+				targetColor,
+				tileSize
 			);
-
-			if (availableTiles.length > 0) {
-				const replacementTile = this.findBestTile(targetColor, availableTiles);
-				tileBuffer = await this.getCachedTileBuffer(
-					replacementTile.path,
-					tileSize
-				);
-			}
-
-			// Final fallback to gray tile
-			if (!tileBuffer) {
-				tileBuffer = Buffer.alloc(tileSize * tileSize * 3, 128);
-			}
 		}
 
+		// Tint toward the cell color
+		tileBuffer = this.blendTile(tileBuffer, inputData, x, y, mosaicWidth);
+
 		// Calculate position in final buffer
 		const startX = x * tileSize;
-		const startY = y * tileSize;
+		const startY = (y - stripTop) * tileSize;
 
 		// Copy tile data efficiently using bulk operations
 		for (let ty = 0; ty < tileSize; ty++) {
@@ -1128,6 +5030,40 @@ class MosaicGenerator {
 		}
 	}
 
+	// Find a buffer to use in place of a tile that failed during compositing:
+	// the next best match for the cell, or a gray tile as a last resort
+	async getReplacementTileBuffer(
+		tilePath,
+		targetColor,
+		tileSize,
+		tileHeight = tileSize
+	) {
+		let tileBuffer = null;
+
+		// Find replacement tile
+		if (this.tileIndex) {
+			this.tileIndex.remove({ path: tilePath });
+		}
+		const hasValidTiles = this.lastTiles.some(
+			(tile) => !this.corruptedTiles.has(tile.path)
+		);
+
+		if (hasValidTiles) {
+			const replacementTile = this.findBestTileIndexed(targetColor);
+			tileBuffer = await this.getCachedTileBuffer(
+				replacementTile.path,
+				tileSize,
+				tileHeight
+			);
+		}
+
+		// Final fallback to gray tile
+		if (!tileBuffer) {
+			tileBuffer = Buffer.alloc(tileSize * tileHeight * 3, 128);
+		}
+		return tileBuffer;
+	}
+
 	// Process only visible tile rows for smart cropping
 	async processVisibleRowBatch(
 		tilePattern,
@@ -1140,7 +5076,9 @@ class MosaicGenerator {
 		cropTop,
 		targetWidth,
 		targetHeight,
-		outputBuffer
+		outputBuffer,
+		inputData = null,
+		mosaicWidth = null
 	) {
 		const rowPromises = [];
 
@@ -1155,7 +5093,9 @@ class MosaicGenerator {
 				cropTop,
 				targetWidth,
 				targetHeight,
-				outputBuffer
+				outputBuffer,
+				inputData,
+				mosaicWidth
 			);
 			rowPromises.push(rowPromise);
 		}
@@ -1174,7 +5114,9 @@ class MosaicGenerator {
 		cropTop,
 		targetWidth,
 		targetHeight,
-		outputBuffer
+		outputBuffer,
+		inputData = null,
+		mosaicWidth = null
 	) {
 		// Process tiles in this row in parallel
 		const tilePromises = [];
@@ -1189,7 +5131,9 @@ class MosaicGenerator {
 				cropTop,
 				targetWidth,
 				targetHeight,
-				outputBuffer
+				outputBuffer,
+				inputData,
+				mosaicWidth
 			);
 			tilePromises.push(tilePromise);
 		}
@@ -1207,7 +5151,9 @@ class MosaicGenerator {
 		cropTop,
 		targetWidth,
 		targetHeight,
-		outputBuffer
+		outputBuffer,
+		inputData = null,
+		mosaicWidth = null
 	) {
 		let tileBuffer = await this.getCachedTileBuffer(tilePath, tileSize);
 
@@ -1216,6 +5162,9 @@ class MosaicGenerator {
 			tileBuffer = Buffer.alloc(tileSize * tileSize * 3, 128);
 		}
 
+		// Tint toward the cell color, matching the first mosaic frame
+		tileBuffer = this.blendTile(tileBuffer, inputData, x, y, mosaicWidth);
+
 		// Calculate tile position in full mosaic coordinates
 		const tileStartX = x * tileSize;
 		const tileStartY = y * tileSize;
@@ -1271,26 +5220,347 @@ class MosaicGenerator {
 			mosaicHeight = null, // Number of tiles vertically (auto if null)
 			tileSize = defaultTileSize, // Size of each tile in pixels
 			allowReuse = true, // Allow tiles to be reused
+			minRepeatDistance = 0, // Minimum distance in cells between identical tiles
+			maxTileUses = 0, // Maximum placements per tile (0 = unlimited)
+			assignment = 'greedy', // greedy, or optimal to refine use-limited assignments
+			adaptive = false, // Split cells into smaller tiles where the input has detail
+			minTileSize = null, // Smallest adaptive tile in pixels (see getDefaultMinTileSize if null)
+			detailThreshold = defaultDetailThreshold, // Detail needed to split a cell
+			layout = defaultLayout, // square, rect, brick or hex cells
+			tileAspect = defaultTileAspect, // Width / height of rect and brick tiles
+			augment = [], // flip and/or rotate90 variants indexed per photo
+			colorMetric = defaultColorMetric, // rgb, lab76, lab2000 or redmean
+			tileFit = defaultTileFit, // cover, contain or fill
+			tileCrop = defaultTileCrop, // center, attention or entropy (cover only)
+			signatureGrid = defaultSignatureGrid, // NxN colors compared per cell
+			hashTiles = false, // Confirm tile file changes by content hash
+			tileIndexFormat = defaultTileIndexFormat, // csv or jsonl tile index
+			cacheDir = defaultDiskCacheDir, // Directory of cached tile buffers
+			cacheMaxMb = 0, // Disk cache budget in MB (0 = unlimited)
+			cacheMaxAgeHours = 0, // Prune cached buffers unused for this long (0 = never)
+			memoryCacheMb = 0, // In-memory tile buffer budget in MB (0 = unlimited)
+			stream = false, // Composite in strips even below streamingMinBytes
+			export: exportFormat = null, // dzi or iiif tile pyramid instead of an image
+			exportCellSize = null, // Tile width at the deepest level or in the html page
+			exportBaseUrl = null, // IIIF image id
+			manifest = null, // JSON file describing every cell of the mosaic
+			report = null, // JSON quality report, with an error heatmap next to it
+			format = null, // Output encoder (from the output extension if null)
+			quality = null, // 1-100 quality of lossy encoders
+			effort = null, // CPU effort of the PNG, WebP and AVIF encoders
+			lossless = false, // Lossless WebP, AVIF and TIFF
+			bigTiff = false, // Write TIFF outputs as BigTIFF
+			jobs = defaultJobs, // Worker threads for tile analysis
+			blend = 0, // 0-1 shift of each tile's colors toward its cell color
+			blendMode = defaultBlendMode, // mean, multiply or reinhard
+			overlay = 0, // 0-1 opacity of the input image over the mosaic
+			overlayMode = defaultOverlayMode, // normal, soft-light or luminosity
 		} = options;
 
+		if (!colorMetrics.includes(colorMetric)) {
+			throw new Error(
+				`Unknown color metric "${colorMetric}" (expected one of: ${colorMetrics.join(
+					', '
+				)})`
+			);
+		}
+		if (!Number.isInteger(jobs) || jobs < 1) {
+			throw new Error(`Jobs must be a positive integer, got ${jobs}`);
+		}
+		if (!(minRepeatDistance >= 0)) {
+			throw new Error(
+				`Minimum repeat distance must be a non-negative number, got ${minRepeatDistance}`
+			);
+		}
+		if (!Number.isInteger(maxTileUses) || maxTileUses < 0) {
+			throw new Error(
+				`Max tile uses must be a non-negative integer, got ${maxTileUses}`
+			);
+		}
+		if (!assignmentModes.includes(assignment)) {
+			throw new Error(
+				`Unknown assignment mode "${assignment}" (expected one of: ${assignmentModes.join(
+					', '
+				)})`
+			);
+		}
+
 		// Compute mosaic dimensions based on output resolution
 		const computedMosaicWidth =
 			mosaicWidth || Math.round(outputWidth / tileSize);
 		const finalMosaicWidth = computedMosaicWidth;
 
 		this.tileSize = tileSize;
+		this.colorMetric = colorMetric;
+		console.log(`Color metric: ${colorMetric}`);
+
+		if (
+			!Number.isInteger(signatureGrid) ||
+			signatureGrid < 1 ||
+			signatureGrid > tileSize
+		) {
+			throw new Error(
+				`Signature grid must be an integer between 1 and the tile size (${tileSize}), got ${signatureGrid}`
+			);
+		}
+		this.signatureGrid = signatureGrid;
+		this.signatureInput = null;
+		if (signatureGrid > 1) {
+			console.log(`Matching on ${signatureGrid}x${signatureGrid} color grids`);
+		}
+
+		this.setBlendOptions({ blend, blendMode, overlay, overlayMode });
+		this.blendSampleInput = null;
+
+		if (!tileFits.includes(tileFit)) {
+			throw new Error(
+				`Unknown tile fit "${tileFit}" (expected one of: ${tileFits.join(
+					', '
+				)})`
+			);
+		}
+		if (!tileCrops.includes(tileCrop)) {
+			throw new Error(
+				`Unknown tile crop "${tileCrop}" (expected one of: ${tileCrops.join(
+					', '
+				)})`
+			);
+		}
+		if (tileFit !== 'cover' && tileCrop !== defaultTileCrop) {
+			console.warn(`--tile-crop only applies to --tile-fit cover`);
+		}
+		this.tileFit = tileFit;
+		this.tileCrop = tileCrop;
+		console.log(
+			`Tile fit: ${tileFit}${tileFit === 'cover' ? ` (${tileCrop})` : ''}`
+		);
+
+		if (!layouts.includes(layout)) {
+			throw new Error(
+				`Unknown layout "${layout}" (expected one of: ${layouts.join(', ')})`
+			);
+		}
+		if (!(tileAspect > 0)) {
+			throw new Error(`Tile aspect must be positive, got ${tileAspect}`);
+		}
+		if (adaptive && layout !== 'square') {
+			throw new Error('--adaptive only supports the square layout');
+		}
+		if (
+			minTileSize !== null &&
+			(!Number.isInteger(minTileSize) || minTileSize < 1)
+		) {
+			throw new Error(
+				`Minimum tile size must be a positive integer, got ${minTileSize}`
+			);
+		}
+		if (!(detailThreshold >= 0)) {
+			throw new Error(
+				`Detail threshold must be a non-negative number, got ${detailThreshold}`
+			);
+		}
+		const adaptiveMinTileSize =
+			minTileSize === null ? getDefaultMinTileSize(tileSize) : minTileSize;
+		if (adaptive) {
+			const levels = Math.log2(tileSize / adaptiveMinTileSize);
+			if (!Number.isInteger(levels) || levels < 0) {
+				throw new Error(
+					`Adaptive tile sizes must halve evenly: tile size ${tileSize} is not a power-of-two multiple of minimum tile size ${adaptiveMinTileSize}`
+				);
+			}
+			if (signatureGrid > adaptiveMinTileSize) {
+				throw new Error(
+					`Signature grid ${signatureGrid} is larger than the minimum tile size ${adaptiveMinTileSize}`
+				);
+			}
+		}
+		// Tiles of other layouts are analyzed in their own shape
+		const geometry = getLayoutGeometry(layout, tileSize, tileAspect);
+		this.tileHeight = layout === 'square' ? null : geometry.tileHeight;
+		this.tileSize = geometry.tileWidth;
+		this.tileMask = layout === 'hex' ? getHexMask(geometry) : null;
+		if (signatureGrid > Math.min(geometry.tileWidth, geometry.tileHeight)) {
+			throw new Error(
+				`Signature grid ${signatureGrid} is larger than the ${geometry.tileWidth}x${geometry.tileHeight} tiles`
+			);
+		}
+		if (layout !== 'square') {
+			console.log(
+				`Layout: ${layout} (${getTileSizeKey(
+					geometry.tileWidth,
+					geometry.tileHeight
+				)}px tiles)`
+			);
+		}
+
+		const unknownAugment = augment.filter(
+			(mode) => !augmentModes.includes(mode)
+		);
+		if (unknownAugment.length > 0) {
+			throw new Error(
+				`Unknown augment mode "${
+					unknownAugment[0]
+				}" (expected: ${augmentModes.join(', ')})`
+			);
+		}
+		this.tileVariants = getTileVariants(augment);
+		if (this.tileVariants.length > 1) {
+			console.log(
+				`Augmenting tiles with ${augment.join(' and ')}: ${
+					this.tileVariants.length
+				} variants per photo`
+			);
+		}
+		const variantSet = new Set(this.tileVariants);
+		const withVariants = (files) =>
+			files.flatMap((file) =>
+				this.tileVariants.map((variant) => getTileVariantPath(file, variant))
+			);
+
+		this.hashTiles = hashTiles;
+		if (!tileIndexFormats.includes(tileIndexFormat)) {
+			throw new Error(
+				`Unknown tile index format "${tileIndexFormat}" (expected one of: ${tileIndexFormats.join(
+					', '
+				)})`
+			);
+		}
 
 		// Initialize disk cache for tile buffers
-		await this.initializeDiskCache(tilesDirectory);
+		if (!(cacheMaxMb >= 0) || !(cacheMaxAgeHours >= 0)) {
+			throw new Error('Disk cache limits must not be negative');
+		}
+		this.diskCacheMaxBytes = cacheMaxMb * 1024 * 1024;
+		this.diskCacheMaxAgeHours = cacheMaxAgeHours;
+		if (!(memoryCacheMb >= 0)) {
+			throw new Error(
+				`Memory cache budget must not be negative, got ${memoryCacheMb}`
+			);
+		}
+		this.memoryCacheMaxBytes = memoryCacheMb * 1024 * 1024;
+		this.streamOutput = stream;
+		if (exportFormat && !exportFormats.includes(exportFormat)) {
+			throw new Error(
+				`Unknown export format "${exportFormat}" (expected one of: ${exportFormats.join(
+					', '
+				)})`
+			);
+		}
+		if (
+			exportCellSize !== null &&
+			(!Number.isInteger(exportCellSize) || exportCellSize < 1)
+		) {
+			throw new Error(
+				`Export cell size must be a positive integer, got ${exportCellSize}`
+			);
+		}
+		this.exportFormat = exportFormat;
+		this.exportCellSize = exportCellSize;
+		this.exportBaseUrl = exportBaseUrl;
+		this.manifestPath = manifest;
+		this.lastManifest = null;
+		this.reportPath = report;
+		// Create their directories now rather than failing after rendering
+		for (const filePath of [manifest, report]) {
+			if (filePath) {
+				await fs.mkdir(path.dirname(filePath), { recursive: true });
+			}
+		}
+		this.setOutputOptions(outputPath, {
+			format,
+			quality,
+			effort,
+			lossless,
+			bigTiff,
+		});
+		if (
+			exportFormat === 'html' &&
+			!htmlImageFormats.includes(this.getExportTileFormat(outputPath))
+		) {
+			throw new Error(
+				`--export html embeds the mosaic as ${htmlImageFormats.join(
+					', '
+				)}, not ${this.getExportTileFormat(outputPath)}`
+			);
+		}
+		await this.initializeDiskCache(tilesDirectory, cacheDir);
 
 		console.log('Loading input image...');
 		const inputMetadata = await sharp(inputImagePath).metadata();
 
-		// Try to load cached tile data first
-		const cacheFilePath = path.join(tilesDirectory, 'tiles.csv');
+		// Calculate mosaic dimensions, so an output too large to composite in
+		// memory is checked before the tiles are analyzed
+		const aspectRatio = inputMetadata.height / inputMetadata.width;
+		const computedMosaicHeight = outputHeight
+			? Math.round(outputHeight / tileSize)
+			: Math.round(finalMosaicWidth * aspectRatio);
+		const finalMosaicHeight = mosaicHeight || computedMosaicHeight;
+		const columns = mosaicWidth || Math.round(outputWidth / geometry.spacing);
+		const rows =
+			mosaicHeight ||
+			Math.round(
+				(outputHeight || columns * geometry.spacing * aspectRatio) /
+					geometry.rowStep
+			);
+		if (layout === 'square') {
+			this.checkStreamedOutput(
+				outputPath,
+				finalMosaicWidth * tileSize,
+				finalMosaicHeight * tileSize
+			);
+		} else {
+			this.checkStreamedOutput(
+				outputPath,
+				columns * geometry.spacing,
+				rows * geometry.rowStep
+			);
+		}
+
+		// Try to load cached tile data first, preferring the checkpoint of an
+		// interrupted analysis so it can resume where it stopped
+		// Tile colors depend on the fit, so each fit gets its own cache file
+		const cacheBaseName = `tiles${this.getTileFitKey()}${this.getTileShapeKey()}`;
+		const cacheFilePath = path.join(
+			tilesDirectory,
+			`${cacheBaseName}.${tileIndexFormat}`
+		);
+		const checkpointPath = `${cacheFilePath}.partial`;
 		console.log('Checking for tile cache...');
-		let tiles = await this.loadTileCacheFromCSV(cacheFilePath);
+		let index = await this.loadTileIndex(checkpointPath);
+		if (index) {
+			console.log(`Resuming interrupted tile analysis from ${checkpointPath}`);
+		} else {
+			index = await this.loadTileIndex(cacheFilePath);
+		}
+
+		// Switching index formats converts the CSV index rather than starting over
+		if (!index && tileIndexFormat !== 'csv') {
+			const csvPath = path.join(tilesDirectory, `${cacheBaseName}.csv`);
+			index = await this.loadTileIndex(csvPath);
+			if (index) {
+				console.log(`Converting tile index ${csvPath} to ${cacheFilePath}`);
+				await this.saveTileIndex(index.tiles, cacheFilePath);
+			}
+		}
+
+		// An index built for another tile size, fit or signature is re-analyzed
+		if (index) {
+			const staleFields = this.getStaleTileIndexFields(index.meta);
+			if (staleFields.length > 0) {
+				console.warn(
+					`Tile index was built with different settings (${staleFields.join(
+						'; '
+					)}), re-analyzing all tiles`
+				);
+				index.tiles.forEach((tile) => this.tileCache.delete(tile.path));
+				index = null;
+			}
+		}
+		let tiles = index ? index.tiles : null;
 		let tileFiles = [];
+		// Size and modification time of every tile file, stored with its colors
+		const fileStats = new Map(); // Map<file, { size, mtime, hash }>
+		this.tileFileStats = fileStats;
 
 		if (tiles) {
 			console.log(`Loaded ${tiles.length} tiles from cache`);
@@ -1311,49 +5581,42 @@ class MosaicGenerator {
 				return true;
 			});
 
-			// Get tile files from cache instead of scanning directory
-			tileFiles = tiles.map((tile) => tile.path);
-			// console.log('Checking for new tile images...');
-			// const allTileFiles = await this.getImageFiles(tilesDirectory);
-			// const cachedPaths = new Set(tileFiles);
-			// const newTileFiles = allTileFiles.filter(
-			// 	(file) => !cachedPaths.has(file)
-			// );
-
-			// if (newTileFiles.length > 0) {
-			// 	console.log(`Found ${newTileFiles.length} new tile images`);
-			// 	tileFiles = allTileFiles; // Use all files for processing
-			// } else {
-			// 	console.log('No new tiles found');
-			// }
-
-			// Check if we have new files not in cache
+			// Diff the cache against the tiles directory: drop tiles whose file is
+			// gone and re-analyze files that were added or changed since
+			console.log('Checking for added, changed and removed tile images...');
+			tileFiles = await this.getImageFiles(tilesDirectory, fileStats);
+			const { changedFiles, restamped } = await this.findChangedTileFiles(
+				tiles,
+				fileStats
+			);
+			const removedFiles = new Set();
+			tiles = tiles.filter((tile) => {
+				const { file } = splitTileVariant(tile.path);
+				if (fileStats.has(file) && !changedFiles.has(file)) {
+					return true;
+				}
+				if (!fileStats.has(file)) removedFiles.add(file);
+				this.tileCache.delete(tile.path);
+				return false;
+			});
+
+			this.forgetTileBuffers([...changedFiles, ...removedFiles]);
+
 			const cachedPaths = new Set(tiles.map((tile) => tile.path));
-			const newTileFiles = tileFiles.filter((file) => !cachedPaths.has(file));
+			const newTileFiles = withVariants(tileFiles).filter(
+				(file) => !cachedPaths.has(file)
+			);
+			const addedCount =
+				new Set(newTileFiles.map((file) => splitTileVariant(file).file)).size -
+				changedFiles.size;
+			console.log(
+				`Tile images: ${addedCount} added, ${changedFiles.size} changed, ${removedFiles.size} removed`
+			);
 
 			if (newTileFiles.length > 0) {
-				console.log(
-					`${new Date().toISOString()} : Processing ${
-						newTileFiles.length
-					} new tile images...`
-				);
-				let processed = 0;
-
-				for (const tileFile of newTileFiles) {
-					const tileData = await this.getAverageColor(tileFile);
-					if (tileData) {
-						tiles.push(tileData);
-					}
-					processed++;
-					if (processed % 50 === 0) {
-						process.stdout.write(
-							`\rProcessed ${processed}/${newTileFiles.length} new tiles`
-						);
-					}
-				}
-
-				// Save updated cache
-				await this.saveTileCacheToCSV(tiles, cacheFilePath);
+				await this.analyzeTileFiles(newTileFiles, tiles, cacheFilePath, jobs);
+			} else if (removedFiles.size > 0 || restamped > 0) {
+				await this.saveTileIndex(tiles, cacheFilePath);
 			} else {
 				console.log('No new tiles to process');
 			}
@@ -1361,31 +5624,55 @@ class MosaicGenerator {
 			console.log(
 				`No cache found at ${cacheFilePath}. Scanning for tile images...`
 			);
-			tileFiles = await this.getImageFiles(tilesDirectory);
+			tileFiles = await this.getImageFiles(tilesDirectory, fileStats);
 
 			console.log(`Found ${tileFiles.length} tile images`);
 			tiles = [];
-			let processed = 0;
 
-			for (const tileFile of tileFiles) {
-				const tileData = await this.getAverageColor(tileFile);
-				if (tileData) {
-					tiles.push(tileData);
-				}
-				processed++;
-				if (processed % 50 === 0) {
-					process.stdout.write(
-						`\rProcessed ${processed}/${tileFiles.length} tiles`
-					);
-				}
-			}
+			// Analyze and save cache for next time
+			await this.analyzeTileFiles(
+				withVariants(tileFiles),
+				tiles,
+				cacheFilePath,
+				jobs
+			);
+		}
+
+		// Re-analyze cached tiles whose signature doesn't match the requested grid
+		if (signatureGrid > 1) {
+			const cellCount = signatureGrid * signatureGrid;
+			const staleTiles = tiles.filter(
+				(tile) =>
+					!tile.corrupt &&
+					(!tile.signature || tile.signature.length !== cellCount)
+			);
 
-			// Save cache for next time
-			await this.saveTileCacheToCSV(tiles, cacheFilePath);
+			if (staleTiles.length > 0) {
+				console.log(
+					`Computing ${signatureGrid}x${signatureGrid} signatures for ${staleTiles.length} tiles`
+				);
+				const stalePaths = new Set(staleTiles.map((tile) => tile.path));
+				stalePaths.forEach((tilePath) => this.tileCache.delete(tilePath));
+				tiles = tiles.filter((tile) => !stalePaths.has(tile.path));
+				await this.analyzeTileFiles(
+					Array.from(stalePaths),
+					tiles,
+					cacheFilePath,
+					jobs
+				);
+			}
 		}
 
-		// Filter out null entries (corrupted tiles)
-		tiles = tiles.filter((tile) => tile !== null);
+		// Filter out null entries, files recorded as corrupted by this or an
+		// earlier run, and variants cached by runs with other --augment modes
+		tiles = tiles.filter((tile) => {
+			if (tile === null) return false;
+			if (tile.corrupt) {
+				this.corruptedTiles.add(tile.path);
+				return false;
+			}
+			return variantSet.has(splitTileVariant(tile.path).variant);
+		});
 
 		if (tiles.length === 0) {
 			throw new Error('No valid tile images could be processed');
@@ -1401,12 +5688,30 @@ class MosaicGenerator {
 			);
 		}
 
-		// Calculate mosaic dimensions
-		const aspectRatio = inputMetadata.height / inputMetadata.width;
-		const computedMosaicHeight = outputHeight
-			? Math.round(outputHeight / tileSize)
-			: Math.round(finalMosaicWidth * aspectRatio);
-		const finalMosaicHeight = mosaicHeight || computedMosaicHeight;
+		// Adaptive layouts use a quadtree of variable-size cells instead of a grid
+		if (adaptive) {
+			return this.generateAdaptiveMosaic(inputImagePath, outputPath, tiles, {
+				mosaicWidth: finalMosaicWidth,
+				mosaicHeight: finalMosaicHeight,
+				tileSize,
+				minTileSize: adaptiveMinTileSize,
+				detailThreshold,
+				useLimit: allowReuse ? maxTileUses : 1,
+				minRepeatDistance,
+				assignment,
+			});
+		}
+
+		if (layout !== 'square') {
+			return this.generateLayoutMosaic(inputImagePath, outputPath, tiles, {
+				geometry,
+				columns,
+				rows,
+				useLimit: allowReuse ? maxTileUses : 1,
+				minRepeatDistance,
+				assignment,
+			});
+		}
 
 		// Resize input image to mosaic grid size for color analysis
 		console.log('Analyzing input image colors...');
@@ -1415,38 +5720,65 @@ class MosaicGenerator {
 			.raw()
 			.toBuffer({ resolveWithObject: true });
 
+		// Sample the input at signatureGrid x resolution so each cell yields an
+		// NxN grid of colors to compare against tile signatures
+		if (signatureGrid > 1) {
+			const signatureWidth = finalMosaicWidth * signatureGrid;
+			const { data: signatureData } = await sharp(inputImagePath)
+				.resize(signatureWidth, finalMosaicHeight * signatureGrid)
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			this.signatureInput = { data: signatureData, width: signatureWidth };
+		}
+
+		// Reinhard transfer needs the color spread of each cell, not just its mean
+		if (blend > 0 && blendMode === 'reinhard') {
+			const sampleWidth = finalMosaicWidth * blendSampleScale;
+			const { data: sampleData } = await sharp(inputImagePath)
+				.resize(sampleWidth, finalMosaicHeight * blendSampleScale)
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			this.blendSampleInput = { data: sampleData, width: sampleWidth };
+		}
+
 		console.log(
 			`Generating ${finalMosaicWidth}x${finalMosaicHeight} mosaic...`
 		);
 
-		const usedTiles = new Set();
+		this.buildTileIndex(tiles);
 		const tileImages = [];
 
+		// --no-reuse is a use limit of one
+		const useLimit = allowReuse ? maxTileUses : 1;
+		const picker = this.createTilePicker(tiles, useLimit, minRepeatDistance);
+
+		// Without a use limit every cell already gets its best tile
+		const refine = assignment === 'optimal' && useLimit > 0;
+		if (assignment === 'optimal' && !refine) {
+			console.warn(
+				'--assignment optimal only applies with --no-reuse or --max-uses'
+			);
+		}
+		const cellTargets = [];
+		const assignedTiles = [];
+
 		// Generate mosaic tile by tile
 		for (let y = 0; y < finalMosaicHeight; y++) {
 			const row = [];
 			for (let x = 0; x < finalMosaicWidth; x++) {
 				// Get color of this pixel in the scaled input image
-				const pixelIndex = (y * finalMosaicWidth + x) * 3;
-				const targetColor = {
-					r: inputData[pixelIndex],
-					g: inputData[pixelIndex + 1],
-					b: inputData[pixelIndex + 2],
-				};
+				const targetColor = this.getTargetColor(
+					inputData,
+					x,
+					y,
+					finalMosaicWidth
+				);
 
 				// Find best matching tile
-				let availableTiles = tiles;
-				if (!allowReuse) {
-					availableTiles = tiles.filter((tile) => !usedTiles.has(tile));
-					if (availableTiles.length === 0) {
-						availableTiles = tiles; // Fallback to all tiles if we run out
-					}
-				}
-
-				const bestTile = this.findBestTile(targetColor, availableTiles);
-
-				if (!allowReuse) {
-					usedTiles.add(bestTile);
+				const bestTile = picker.pick(targetColor, x, y);
+				if (refine) {
+					cellTargets.push(this.prepareTargetColor(targetColor));
+					assignedTiles.push(bestTile);
 				}
 
 				row.push(bestTile.path);
@@ -1465,95 +5797,175 @@ class MosaicGenerator {
 			}
 		}
 
+		// Refine the greedy assignment to minimize the total color error
+		if (refine) {
+			console.log('Refining tile assignment...');
+			this.refineAssignment(
+				assignedTiles,
+				cellTargets,
+				tiles,
+				finalMosaicWidth,
+				useLimit,
+				minRepeatDistance
+			);
+			assignedTiles.forEach((tile, cell) => {
+				tileImages[Math.floor(cell / finalMosaicWidth)][
+					cell % finalMosaicWidth
+				] = tile.path;
+			});
+
+			// Keep the index in sync for corrupted-tile replacement
+			if (!picker.reuseFallback) {
+				this.buildTileIndex(tiles);
+				const uses = new Map();
+				for (const tile of assignedTiles) {
+					uses.set(tile.path, (uses.get(tile.path) || 0) + 1);
+					if (uses.get(tile.path) >= useLimit) this.tileIndex.remove(tile);
+				}
+			}
+		}
+
 		// Store tile pattern for zoom operations
 		this.lastTilePattern = tileImages;
+		this.lastTileCells = null;
+		this.lastGeometry = null;
+		this.lastInputData = inputData;
 		this.lastMosaicWidth = finalMosaicWidth;
 		this.lastMosaicHeight = finalMosaicHeight;
 
-		// Pre-cache all tiles that will be used in this mosaic
-		await this.preCacheTileBuffers(tileImages, tileSize);
-
-		console.log(
-			`${new Date().toISOString()} : Compositing final ${finalMosaicWidth} x ${finalMosaicHeight} mosaic...`
-		);
-
-		// Use optimized compositing
 		const finalWidth = finalMosaicWidth * tileSize;
 		const finalHeight = finalMosaicHeight * tileSize;
-		const startTime = new Date();
+		if (this.exportFormat) {
+			await this.exportMosaic(
+				this.getPatternCells(tileImages, tileSize, inputData),
+				finalWidth,
+				finalHeight,
+				inputImagePath,
+				outputPath
+			);
+		} else {
+			// Pre-cache all tiles that will be used in this mosaic
+			await this.preCacheTileBuffers(tileImages, tileSize);
 
-		// Create final buffer and process in parallel
-		const finalBuffer = Buffer.alloc(finalWidth * finalHeight * 3);
+			console.log(
+				`${new Date().toISOString()} : Compositing final ${finalMosaicWidth} x ${finalMosaicHeight} mosaic...`
+			);
 
-		// Process multiple rows in parallel
-		const PARALLEL_ROWS = 8; // Adjust based on your system
-		const rowPromises = [];
+			// Use optimized compositing
+			const startTime = new Date();
+
+			if (this.shouldStreamOutput(outputPath, finalWidth, finalHeight)) {
+				await this.writeStreamedImage(
+					this.createOutputWriter(outputPath, finalWidth, finalHeight),
+					finalWidth,
+					finalHeight,
+					tileSize,
+					inputImagePath,
+					(strip, top, rows) =>
+						this.processRowBatchOptimized(
+							tileImages,
+							top / tileSize,
+							(top + rows) / tileSize,
+							finalMosaicWidth,
+							tileSize,
+							finalWidth,
+							strip,
+							inputData,
+							top / tileSize
+						)
+				);
+			} else {
+				// Create final buffer and process in parallel
+				const finalBuffer = Buffer.alloc(finalWidth * finalHeight * 3);
 
-		for (let startY = 0; startY < finalMosaicHeight; startY += PARALLEL_ROWS) {
-			const endY = Math.min(startY + PARALLEL_ROWS, finalMosaicHeight);
+				// Process multiple rows in parallel
+				const PARALLEL_ROWS = 8; // Adjust based on your system
+				const rowPromises = [];
 
-			const rowPromise = this.processRowBatchOptimized(
-				tileImages,
-				startY,
-				endY,
-				finalMosaicWidth,
-				tileSize,
-				finalWidth,
-				finalBuffer,
-				inputData
-			);
+				for (
+					let startY = 0;
+					startY < finalMosaicHeight;
+					startY += PARALLEL_ROWS
+				) {
+					const endY = Math.min(startY + PARALLEL_ROWS, finalMosaicHeight);
+
+					const rowPromise = this.processRowBatchOptimized(
+						tileImages,
+						startY,
+						endY,
+						finalMosaicWidth,
+						tileSize,
+						finalWidth,
+						finalBuffer,
+						inputData
+					);
 
-			rowPromises.push(rowPromise);
-		}
+					rowPromises.push(rowPromise);
+				}
 
-		// Process all row batches with progress tracking
-		let completedBatches = 0;
-		for (const rowPromise of rowPromises) {
-			await rowPromise;
-			completedBatches++;
-			const rowsCompleted = Math.min(
-				completedBatches * PARALLEL_ROWS,
-				finalMosaicHeight
-			);
-			const progress = Math.round((rowsCompleted / finalMosaicHeight) * 100);
-			process.stdout.write(
-				`\r${new Date().toISOString()} : Processing row ${rowsCompleted} of ${finalMosaicHeight} (${progress}%)`
-			);
-		}
-		console.log('');
+				// Process all row batches with progress tracking
+				let completedBatches = 0;
+				for (const rowPromise of rowPromises) {
+					await rowPromise;
+					completedBatches++;
+					const rowsCompleted = Math.min(
+						completedBatches * PARALLEL_ROWS,
+						finalMosaicHeight
+					);
+					const progress = Math.round(
+						(rowsCompleted / finalMosaicHeight) * 100
+					);
+					process.stdout.write(
+						`\r${new Date().toISOString()} : Processing row ${rowsCompleted} of ${finalMosaicHeight} (${progress}%)`
+					);
+				}
+				console.log('');
+
+				// Overlay the input image at the configured opacity
+				await this.applyOverlay(
+					finalBuffer,
+					inputImagePath,
+					finalWidth,
+					finalHeight
+				);
 
-		// Save the final image
-		await sharp(finalBuffer, {
-			raw: {
-				width: finalWidth,
-				height: finalHeight,
-				channels: 3,
-			},
-		})
-			.png()
-			.toFile(outputPath);
+				// Save the final image
+				await this.encodeOutput(
+					sharp(finalBuffer, {
+						raw: {
+							width: finalWidth,
+							height: finalHeight,
+							channels: 3,
+						},
+					}),
+					outputPath
+				).toFile(outputPath);
+			}
 
-		console.log(
-			`Mosaic saved to: ${outputPath} in ${(
-				(new Date() - startTime) /
-				1000
-			).toFixed(0)} secs`
-		);
-		console.log(`Final size: ${finalWidth}x${finalHeight} pixels`);
-		console.log(
-			`Tiles used: ${finalMosaicWidth}x${finalMosaicHeight} = ${
-				finalMosaicWidth * finalMosaicHeight
-			} total`
+			console.log(
+				`Mosaic saved to: ${outputPath} in ${(
+					(new Date() - startTime) /
+					1000
+				).toFixed(0)} secs`
+			);
+			console.log(`Final size: ${finalWidth}x${finalHeight} pixels`);
+		}
+		await this.writeManifest(
+			inputImagePath,
+			outputPath,
+			finalWidth,
+			finalHeight
 		);
 
 		// Print cache statistics
 		await this.printCacheStats(tileSize);
 
-		if (this.corruptedTiles.size > 0) {
-			console.log(
-				`Corrupted tiles found and excluded: ${this.corruptedTiles.size}`
-			);
-		}
+		const qualityReport = await this.reportQuality(
+			inputImagePath,
+			outputPath,
+			finalWidth,
+			finalHeight
+		);
 
 		return {
 			width: finalWidth,
@@ -1561,6 +5973,7 @@ class MosaicGenerator {
 			tilesUsed: finalMosaicWidth * finalMosaicHeight,
 			availableTiles: tiles.length,
 			corruptedTiles: this.corruptedTiles.size,
+			report: qualityReport,
 		};
 	}
 }
@@ -1593,6 +6006,137 @@ async function main() {
 		console.log(
 			"  --no-reuse           Don't reuse tiles (may result in lower quality)"
 		);
+		console.log(
+			'  --min-repeat-distance <n>  Minimum distance in cells between identical tiles'
+		);
+		console.log(
+			'  --max-uses <n>       Maximum times each tile may be used (default: unlimited)'
+		);
+		console.log(
+			`  --assignment <mode>  Tile assignment with --no-reuse/--max-uses: ${assignmentModes.join(
+				'|'
+			)} (default: greedy)`
+		);
+		console.log(
+			`  --metric <name>      Color distance: ${colorMetrics.join(
+				'|'
+			)} (default: ${defaultColorMetric})`
+		);
+		console.log(
+			`  --tile-fit <mode>    Fit tile photos into squares: ${tileFits.join(
+				'|'
+			)} (default: ${defaultTileFit})`
+		);
+		console.log(
+			`  --tile-crop <mode>   Crop kept by cover: ${tileCrops.join(
+				'|'
+			)} (default: ${defaultTileCrop})`
+		);
+		console.log(
+			`  --grid <n>           Match an NxN grid of colors per tile, e.g. 2 or 3 (default: ${defaultSignatureGrid})`
+		);
+		console.log(
+			`  --cache-dir <dir>    Directory for cached tile buffers (default: ${defaultDiskCacheDir})`
+		);
+		console.log(
+			'  --cache-max-mb <n>   Disk cache budget in MB, least recently used tiles evicted (default: unlimited)'
+		);
+		console.log(
+			'  --cache-max-age <h>  Remove cached tiles unused for this many hours (default: never)'
+		);
+		console.log(
+			`  --format <name>      Output encoder: ${outputFormats.join(
+				'|'
+			)} (default: from the output extension, else png)`
+		);
+		console.log(
+			'  --quality <1-100>    Quality of JPEG, WebP, AVIF and JPEG-compressed TIFF output'
+		);
+		console.log(
+			'  --effort <n>         Encoder CPU effort: png 0-9, webp 0-6, avif 0-9'
+		);
+		console.log('  --lossless           Lossless WebP, AVIF or TIFF output');
+		console.log(
+			'  --bigtiff            Write TIFF output as BigTIFF (automatic above 4 GB)'
+		);
+		console.log(
+			`  --export <format>    Write a tile pyramid or HTML viewer instead of one image: ${exportFormats.join(
+				'|'
+			)}`
+		);
+		console.log(
+			`  --export-cell-size <px>  Tile width at the deepest exported level (default: ${defaultExportCellSize}; html: the tile size)`
+		);
+		console.log(
+			'  --export-base-url <url>  IIIF image id in info.json (default: the output name)'
+		);
+		console.log(
+			'  --report <file>      Write a JSON quality report and an error heatmap (<file>_heatmap.png)'
+		);
+		console.log(
+			'  --from-pattern <file>  Re-render the cells of a --manifest without matching (at --tile-size, default: its own)'
+		);
+		console.log(
+			'  --crop <WxH[+L+T]>   With --from-pattern, crop the scaled mosaic (centered without +L+T)'
+		);
+		console.log(
+			'  --manifest <file>    Write a JSON description of every cell (per frame with --infinite-zoom)'
+		);
+		console.log(
+			'  --stream             Composite the output in strips into a PNG or TIFF encoder (automatic above 256 MB)'
+		);
+		console.log(
+			'  --memory-cache-mb <n>  Memory budget for tile buffers in MB, least recently used evicted (default: unlimited)'
+		);
+		console.log(
+			`  --index-format <f>   Tile index file format: ${tileIndexFormats.join(
+				'|'
+			)} (default: ${defaultTileIndexFormat})`
+		);
+		console.log(
+			'  --hash-tiles         Compare content hashes before re-analyzing tiles whose file changed'
+		);
+		console.log(
+			`  --jobs <n>           Worker threads for analyzing tiles (default: ${defaultJobs})`
+		);
+		console.log(
+			'  --blend <0-1>        Shift tile colors toward the target cell color (default: 0)'
+		);
+		console.log(
+			`  --blend-mode <mode>  Blend mode: ${blendModes.join(
+				'|'
+			)} (default: ${defaultBlendMode})`
+		);
+		console.log(
+			'  --overlay <0-1>      Opacity of the input image over the mosaic (default: 0)'
+		);
+		console.log(
+			`  --overlay-mode <m>   Overlay blend mode: ${overlayModes.join(
+				'|'
+			)} (default: ${defaultOverlayMode})`
+		);
+		console.log(
+			`  --layout <name>      Cell layout: ${layouts.join(
+				'|'
+			)} (default: ${defaultLayout})`
+		);
+		console.log(
+			'  --tile-aspect <w:h>  Tile aspect ratio of rect and brick layouts (default: 4:3)'
+		);
+		console.log(
+			`  --augment <modes>    Also use mirrored/rotated tiles: ${augmentModes.join(
+				','
+			)} (default: none)`
+		);
+		console.log(
+			'  --adaptive           Use smaller tiles where the image has more detail (--tile-size is the largest)'
+		);
+		console.log(
+			'  --min-tile-size <n>  Smallest adaptive tile in pixels (default: tile size / 4, or / 2 or / 1 if not whole)'
+		);
+		console.log(
+			`  --detail-threshold <n>  Luminance std-dev that splits an adaptive cell (default: ${defaultDetailThreshold})`
+		);
 		console.log('  --infinite-zoom      Generate infinite zoom sequence');
 		console.log(
 			`  --zoom-factor <num>  Zoom factor per iteration (default: ${defaultZoomFactor} = ${Math.round(
@@ -1635,6 +6179,39 @@ async function main() {
 		mosaicHeight: null,
 		tileSize: defaultTileSize,
 		allowReuse: true,
+		minRepeatDistance: 0,
+		maxTileUses: 0,
+		assignment: 'greedy',
+		adaptive: false,
+		minTileSize: null,
+		detailThreshold: defaultDetailThreshold,
+		layout: defaultLayout,
+		tileAspect: defaultTileAspect,
+		augment: [],
+		colorMetric: defaultColorMetric,
+		tileFit: defaultTileFit,
+		tileCrop: defaultTileCrop,
+		signatureGrid: defaultSignatureGrid,
+		jobs: defaultJobs,
+		hashTiles: false,
+		tileIndexFormat: defaultTileIndexFormat,
+		cacheDir: defaultDiskCacheDir,
+		cacheMaxMb: 0,
+		cacheMaxAgeHours: 0,
+		memoryCacheMb: 0,
+		stream: false,
+		format: null,
+		quality: null,
+		effort: null,
+		lossless: false,
+		bigTiff: false,
+		export: null,
+		exportCellSize: null,
+		exportBaseUrl: null,
+		blend: 0,
+		blendMode: defaultBlendMode,
+		overlay: 0,
+		overlayMode: defaultOverlayMode,
 		infiniteZoom: false,
 		zoomFactor: defaultZoomFactor,
 		zoomSteps: defaultZoomSteps,
@@ -1646,26 +6223,154 @@ async function main() {
 			case '--output-width':
 				options.outputWidth = parseInt(args[++i]);
 				break;
-			case '--output-height':
-				options.outputHeight = parseInt(args[++i]);
+			case '--output-height':
+				options.outputHeight = parseInt(args[++i]);
+				break;
+			case '--tile-width':
+				options.mosaicWidth = parseInt(args[++i]);
+				break;
+			case '--tile-height':
+				options.mosaicHeight = parseInt(args[++i]);
+				break;
+			case '--width': // Legacy support
+				options.mosaicWidth = parseInt(args[++i]);
+				break;
+			case '--height': // Legacy support
+				options.mosaicHeight = parseInt(args[++i]);
+				break;
+			case '--tile-size':
+				options.tileSize = parseInt(args[++i]);
+				break;
+			case '--no-reuse':
+				options.allowReuse = false;
+				break;
+			case '--min-repeat-distance':
+				options.minRepeatDistance = parseFloat(args[++i]);
+				break;
+			case '--max-uses':
+				options.maxTileUses = parseInt(args[++i]);
+				break;
+			case '--assignment':
+				options.assignment = args[++i];
+				break;
+			case '--adaptive':
+				options.adaptive = true;
+				break;
+			case '--min-tile-size':
+				options.minTileSize = parseInt(args[++i]);
+				break;
+			case '--detail-threshold':
+				options.detailThreshold = parseFloat(args[++i]);
+				break;
+			case '--layout':
+				options.layout = args[++i];
+				break;
+			case '--tile-aspect': {
+				// Accept a ratio such as 4:3 or a plain number
+				const [w, h = 1] = args[++i].split(':').map(parseFloat);
+				options.tileAspect = w / h;
+				break;
+			}
+			case '--augment':
+				options.augment = args[++i].split(',').filter(Boolean);
+				break;
+			case '--metric':
+				options.colorMetric = args[++i];
+				break;
+			case '--tile-fit':
+				options.tileFit = args[++i];
+				break;
+			case '--tile-crop':
+				options.tileCrop = args[++i];
+				break;
+			case '--cache-dir':
+				options.cacheDir = args[++i];
+				break;
+			case '--cache-max-mb':
+				options.cacheMaxMb = parseFloat(args[++i]);
+				break;
+			case '--cache-max-age':
+				options.cacheMaxAgeHours = parseFloat(args[++i]);
+				break;
+			case '--format':
+				options.format = args[++i];
+				break;
+			case '--quality':
+				options.quality = parseInt(args[++i]);
+				break;
+			case '--effort':
+				options.effort = parseInt(args[++i]);
+				break;
+			case '--lossless':
+				options.lossless = true;
+				break;
+			case '--bigtiff':
+				options.bigTiff = true;
+				break;
+			case '--export':
+				options.export = args[++i];
+				break;
+			case '--export-cell-size':
+				options.exportCellSize = parseInt(args[++i]);
+				break;
+			case '--export-base-url':
+				options.exportBaseUrl = args[++i];
+				break;
+			case '--manifest':
+				options.manifest = args[++i];
+				break;
+			case '--report':
+				options.report = args[++i];
+				break;
+			case '--from-pattern':
+				options.fromPattern = args[++i];
+				break;
+			case '--crop': {
+				// WxH centered, or WxH+left+top
+				const match = args[++i].match(/^(\d+)x(\d+)(?:\+(\d+)\+(\d+))?$/);
+				if (!match) {
+					console.error(
+						`Error: invalid crop "${args[i]}" (expected WxH or WxH+L+T)`
+					);
+					process.exit(1);
+				}
+				options.crop = {
+					width: parseInt(match[1]),
+					height: parseInt(match[2]),
+					left: match[3] === undefined ? null : parseInt(match[3]),
+					top: match[4] === undefined ? null : parseInt(match[4]),
+				};
+				break;
+			}
+			case '--stream':
+				options.stream = true;
 				break;
-			case '--tile-width':
-				options.mosaicWidth = parseInt(args[++i]);
+			case '--memory-cache-mb':
+				options.memoryCacheMb = parseFloat(args[++i]);
 				break;
-			case '--tile-height':
-				options.mosaicHeight = parseInt(args[++i]);
+			case '--index-format':
+				options.tileIndexFormat = args[++i];
 				break;
-			case '--width': // Legacy support
-				options.mosaicWidth = parseInt(args[++i]);
+			case '--hash-tiles':
+				options.hashTiles = true;
 				break;
-			case '--height': // Legacy support
-				options.mosaicHeight = parseInt(args[++i]);
+			case '--grid':
+				options.signatureGrid = parseInt(args[++i]);
 				break;
-			case '--tile-size':
-				options.tileSize = parseInt(args[++i]);
+			case '--jobs':
+				options.jobs = parseInt(args[++i]);
 				break;
-			case '--no-reuse':
-				options.allowReuse = false;
+			case '--blend':
+				options.blend = parseFloat(args[++i]);
+				break;
+			case '--blend-mode':
+				options.blendMode = args[++i];
+				break;
+			case '--overlay':
+				options.overlay = parseFloat(args[++i]);
+				break;
+			case '--overlay-mode':
+				options.overlayMode = args[++i];
 				break;
 			case '--infinite-zoom':
 				options.infiniteZoom = true;
@@ -1689,7 +6394,20 @@ async function main() {
 
 		const generator = new MosaicGenerator();
 
-		if (options.infiniteZoom) {
+		if (options.fromPattern) {
+			// Re-composite a saved pattern at the given (or its own) tile size
+			await generator.generateMosaicFromPattern(
+				options.fromPattern,
+				inputImage,
+				outputImage,
+				{
+					...options,
+					tileSize: args.includes('--tile-size') ? options.tileSize : null,
+				}
+			);
+
+			console.log('\nMosaic generation completed successfully!');
+		} else if (options.infiniteZoom) {
 			// Generate infinite zoom sequence
 			console.log('Starting infinite zoom mosaic generation...');
 			console.log(
@@ -1723,6 +6441,9 @@ async function main() {
 			console.log('\nMosaic generation completed successfully!');
 		}
 
+		// Keep the disk cache within its limits after this run's writes
+		await generator.maintainDiskCache();
+
 		console.log(`Input: ${inputImage}`);
 		console.log(`Output: ${outputImage}`);
 		console.log(`Tiles directory: ${tilesDirectory}`);
@@ -1733,17 +6454,1185 @@ async function main() {
 }
 
 // Run if called directly
-if (require.main === module) {
+if (isMainThread && require.main === module) {
 	main().catch(console.error);
+} else if (!isMainThread && workerData && workerData.role === 'tileAnalysis') {
+	runTileAnalysisWorker();
 }
 
 module.exports = { MosaicGenerator };
 
+// Worker thread entry point for analyzeTileFiles: analyzes one tile path per
+// message and replies with its colors (null if it couldn't be processed)
+function runTileAnalysisWorker() {
+	const generator = new MosaicGenerator();
+	generator.tileSize = workerData.tileSize;
+	generator.signatureGrid = workerData.signatureGrid;
+	generator.tileFit = workerData.tileFit;
+	generator.tileCrop = workerData.tileCrop;
+	generator.tileHeight = workerData.tileHeight;
+	generator.tileMask = workerData.tileMask;
+
+	parentPort.on('message', async (imagePath) => {
+		const tile = await generator.getAverageColor(imagePath);
+		generator.tileCache.delete(imagePath);
+		parentPort.postMessage({ tile });
+	});
+}
+
 function isImage(filename) {
 	if (filename) {
-		const ext = path.extname(filename).toLowerCase();
+		const ext = path.extname(splitTileVariant(filename).file).toLowerCase();
 		// console.log(`filename: ${filename}, ext: ${ext}`);
 		return imageExtensions.includes(ext);
 	}
 	return false;
 }
+
+// Attach CIELAB (D65) coordinates to an RGB color if it doesn't have them yet
+function withLab(color) {
+	if (color.labL !== undefined) {
+		return color;
+	}
+
+	// sRGB -> linear RGB
+	const linear = (value) => {
+		const c = value / 255;
+		return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+	};
+	const r = linear(color.r);
+	const g = linear(color.g);
+	const b = linear(color.b);
+
+	// Linear RGB -> XYZ, normalized by the D65 white point
+	const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+	const y = r * 0.2126729 + g * 0.7151522 + b * 0.072175;
+	const z = (r * 0.0193339 + g * 0.119192 + b * 0.9503041) / 1.08883;
+
+	// XYZ -> Lab
+	const f = (t) =>
+		t > 216 / 24389 ? Math.cbrt(t) : (t * 24389) / 27 / 116 + 16 / 116;
+	const fx = f(x);
+	const fy = f(y);
+	const fz = f(z);
+
+	return {
+		...color,
+		labL: 116 * fy - 16,
+		labA: 500 * (fx - fy),
+		labB: 200 * (fy - fz),
+	};
+}
+
+// Average an RGB pixel buffer over an NxN grid, row-major
+function getColorSignature(data, width, height, grid) {
+	const signature = [];
+	for (let gy = 0; gy < grid; gy++) {
+		const y0 = Math.floor((gy * height) / grid);
+		const y1 = Math.floor(((gy + 1) * height) / grid);
+		for (let gx = 0; gx < grid; gx++) {
+			const x0 = Math.floor((gx * width) / grid);
+			const x1 = Math.floor(((gx + 1) * width) / grid);
+			let r = 0,
+				g = 0,
+				b = 0;
+			for (let y = y0; y < y1; y++) {
+				for (let x = x0; x < x1; x++) {
+					const index = (y * width + x) * 3;
+					r += data[index];
+					g += data[index + 1];
+					b += data[index + 2];
+				}
+			}
+			const pixelCount = Math.max(1, (x1 - x0) * (y1 - y0));
+			signature.push(
+				withLab({
+					r: Math.round(r / pixelCount),
+					g: Math.round(g / pixelCount),
+					b: Math.round(b / pixelCount),
+				})
+			);
+		}
+	}
+	return signature;
+}
+
+// Sidecar holding the settings of a CSV tile index (`tiles.csv.json`)
+function getTileIndexMetaPath(indexPath) {
+	return `${indexPath}.json`;
+}
+
+// Settings of a CSV tile index from its sidecar, or null if it has none
+async function readTileIndexMeta(indexPath) {
+	try {
+		return JSON.parse(
+			await fs.readFile(getTileIndexMetaPath(indexPath), 'utf-8')
+		);
+	} catch (error) {
+		if (error.code === 'ENOENT') return null;
+		throw error;
+	}
+}
+
+// Index format of a tile index path from its extension, ignoring .partial
+function getTileIndexFormat(indexPath) {
+	return path.extname(indexPath.replace(/\.partial$/, '')) === '.jsonl'
+		? 'jsonl'
+		: 'csv';
+}
+
+// Largest signature grid stored for any tile (1 if none have signatures)
+function getSignatureGrid(tiles) {
+	return tiles.reduce(
+		(grid, tile) =>
+			tile.signature
+				? Math.max(grid, Math.round(Math.sqrt(tile.signature.length)))
+				: grid,
+		1
+	);
+}
+
+// Tile index record (string fields from CSV, or a parsed JSON line) to tile
+function parseTileRecord(record) {
+	const number = (value) =>
+		value === undefined || value === null || value === ''
+			? undefined
+			: Number(value);
+	// Files that failed to decode keep only their path and stamp
+	if (record.corrupt && record.corrupt !== '0') {
+		const tileData = { path: String(record.path), corrupt: true };
+		if (number(record.fileSize) !== undefined) {
+			tileData.fileSize = number(record.fileSize);
+			tileData.mtime = number(record.mtime);
+			if (record.hash) tileData.hash = record.hash;
+		}
+		return tileData;
+	}
+	let tileData = {
+		path: String(record.path),
+		r: number(record.r),
+		g: number(record.g),
+		b: number(record.b),
+	};
+	if ([tileData.r, tileData.g, tileData.b].some((c) => !Number.isFinite(c))) {
+		return null;
+	}
+
+	// Lab and signature columns are optional so old caches still load
+	if (number(record.labL) !== undefined) {
+		tileData.labL = number(record.labL);
+		tileData.labA = number(record.labA);
+		tileData.labB = number(record.labB);
+	} else {
+		tileData = withLab(tileData);
+	}
+	if (record.signature) {
+		tileData.signature = Array.isArray(record.signature)
+			? record.signature.map(([r, g, b]) => withLab({ r, g, b }))
+			: parseColorSignature(record.signature);
+	}
+	if (number(record.fileSize) !== undefined) {
+		tileData.fileSize = number(record.fileSize);
+		tileData.mtime = number(record.mtime);
+		if (record.hash) tileData.hash = record.hash;
+	}
+	return tileData;
+}
+
+// Tile to an index record; JSON lines keep the signature as an array
+function formatTileRecord(tile, format) {
+	if (tile.corrupt) {
+		return {
+			path: tile.path,
+			fileSize: tile.fileSize,
+			mtime: tile.mtime,
+			hash: tile.hash,
+			corrupt: format === 'jsonl' ? true : 1,
+		};
+	}
+	const { labL, labA, labB } = withLab(tile);
+	return {
+		path: tile.path,
+		r: tile.r,
+		g: tile.g,
+		b: tile.b,
+		labL: Number(labL.toFixed(3)),
+		labA: Number(labA.toFixed(3)),
+		labB: Number(labB.toFixed(3)),
+		signature:
+			format === 'jsonl'
+				? tile.signature && tile.signature.map(({ r, g, b }) => [r, g, b])
+				: formatColorSignature(tile.signature),
+		fileSize: tile.fileSize,
+		mtime: tile.mtime,
+		hash: tile.hash,
+	};
+}
+
+// Parse the unversioned tile caches of older releases: a header line, then
+// path,r,g,b[,labL,labA,labB[,signature[,fileSize,mtime,hash]]] per line with
+// unquoted paths (which may contain commas)
+function parseLegacyTileCsv(text) {
+	return text
+		.trim()
+		.split('\n')
+		.slice(1)
+		.map((line) => {
+			const match = line.match(
+				/(.*)\,(\d+)\,(\d+)\,(\d+)(?:\,(-?[\d.]+)\,(-?[\d.]+)\,(-?[\d.]+)(?:\,([\d:/ ]*)(?:\,(\d*)\,(\d*)\,([0-9a-f]*))?)?)?\r?$/
+			);
+			if (!match) return { path: line };
+			const [
+				,
+				filePath,
+				r,
+				g,
+				b,
+				labL,
+				labA,
+				labB,
+				signature,
+				fileSize,
+				mtime,
+				hash,
+			] = match;
+			return {
+				path: filePath.trim(),
+				r,
+				g,
+				b,
+				labL,
+				labA,
+				labB,
+				signature,
+				fileSize,
+				mtime,
+				hash,
+			};
+		});
+}
+
+// Parse RFC 4180 CSV text into rows of string fields. Fields may be quoted,
+// with doubled quotes inside, and quoted fields may span lines
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+	if (field !== '' || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows;
+}
+
+// Format rows as RFC 4180 CSV with CRLF line breaks, quoting fields that
+// contain commas, quotes or line breaks
+function formatCsv(rows) {
+	return rows
+		.map((row) =>
+			row
+				.map((value) => {
+					const field =
+						value === undefined || value === null ? '' : String(value);
+					return /[",\r\n]/.test(field)
+						? `"${field.replace(/"/g, '""')}"`
+						: field;
+				})
+				.join(',')
+		)
+		.join('\r\n');
+}
+
+// Signatures are stored in the tile cache as "N:r/g/b r/g/b ..."
+function formatColorSignature(signature) {
+	if (!signature) return '';
+	const grid = Math.round(Math.sqrt(signature.length));
+	return `${grid}:${signature
+		.map(({ r, g, b }) => `${r}/${g}/${b}`)
+		.join(' ')}`;
+}
+
+function parseColorSignature(value) {
+	const [, colors] = value.split(':');
+	if (!colors) return null;
+	return colors.split(' ').map((color) => {
+		const [r, g, b] = color.split('/').map((channel) => parseInt(channel));
+		return withLab({ r, g, b });
+	});
+}
+
+// Variants of each tile photo indexed for the --augment modes: '' for the
+// photo as is, 'flip' for its mirror image and 'r90', 'r180' and 'r270' for
+// clockwise rotations, combined as e.g. 'flip-r90'
+function getTileVariants(augment) {
+	const flips = augment.includes('flip') ? ['', 'flip'] : [''];
+	const rotations = augment.includes('rotate90')
+		? ['', 'r90', 'r180', 'r270']
+		: [''];
+	const variants = [];
+	for (const flip of flips) {
+		for (const rotation of rotations) {
+			variants.push([flip, rotation].filter(Boolean).join('-'));
+		}
+	}
+	return variants;
+}
+
+// Variants are tiles in their own right, with the variant appended to the
+// photo's path as "#flip-r90". Real tile paths end in an image extension, so
+// the suffix can't be mistaken for part of a file name
+function getTileVariantPath(file, variant) {
+	return variant ? `${file}#${variant}` : file;
+}
+
+// Copy of a manifest with its input, output and tile paths passed through
+// `map`, keeping the #variant suffix of tile paths
+function mapManifestPaths(manifest, map) {
+	const mapPath = (filePath) => filePath && map(filePath);
+	return {
+		...manifest,
+		input: mapPath(manifest.input),
+		output: mapPath(manifest.output),
+		cells: manifest.cells.map((cell) => {
+			const { file, variant } = splitTileVariant(cell.path);
+			return { ...cell, path: getTileVariantPath(map(file), variant) };
+		}),
+	};
+}
+
+function splitTileVariant(tilePath) {
+	const match = tilePath.match(/^(.*)#(flip|flip-r\d+|r\d+)$/);
+	return match
+		? { file: match[1], variant: match[2] }
+		: { file: tilePath, variant: '' };
+}
+
+// Check that no other variant of a photo was placed in a cell next to (x, y),
+// given the photo's earlier placements in row-major order
+function isApartFromVariants(placements, tilePath, x, y) {
+	if (!placements) return true;
+	for (let i = placements.length - 1; i >= 0; i--) {
+		const dy = y - placements[i].y;
+		if (dy >= variantNeighbourDistance) break;
+		const dx = x - placements[i].x;
+		if (
+			placements[i].path !== tilePath &&
+			dx * dx + dy * dy < variantNeighbourDistance * variantNeighbourDistance
+		) {
+			return false;
+		}
+	}
+	return true;
+}
+
+// Check that cell (x, y) is at least `distance` cells from every earlier
+// placement. Placements are in row-major order, so the scan stops at the first
+// row that is out of range
+function isFarFromPlacements(placements, x, y, distance) {
+	if (!placements) return true;
+	for (let i = placements.length - 1; i >= 0; i--) {
+		const dy = y - placements[i].y;
+		if (dy >= distance) break;
+		const dx = x - placements[i].x;
+		if (dx * dx + dy * dy < distance * distance) {
+			return false;
+		}
+	}
+	return true;
+}
+
+// Human-readable byte count, e.g. "12.3 MB"
+function formatBytes(bytes) {
+	const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+	let unit = 0;
+	while (bytes >= 1024 && unit < units.length - 1) {
+		bytes /= 1024;
+		unit++;
+	}
+	return `${unit === 0 ? bytes : bytes.toFixed(1)} ${units[unit]}`;
+}
+
+// Encoder writing an image strip by strip. TIFFs whose pixels alone pass
+// 4 GB are always BigTIFF
+function createStripWriter(
+	outputPath,
+	width,
+	height,
+	{ format, compressionLevel = 6, bigTiff = false }
+) {
+	if (format === 'png') {
+		return new PngStripWriter(outputPath, width, height, compressionLevel);
+	}
+	if (format === 'tiff') {
+		return new TiffStripWriter(
+			outputPath,
+			width,
+			height,
+			bigTiff || width * height * 3 > 0xffffffff
+		);
+	}
+	throw new Error(
+		`Streamed output must be PNG or TIFF, got ${format} for ${outputPath}`
+	);
+}
+
+// Output format named by --format or a file extension ("jpg", ".TIF", ...),
+// or null if it isn't one of outputFormats
+function getOutputFormatName(name) {
+	const format = name.replace(/^\./, '').toLowerCase();
+	const resolved = outputFormatAliases[format] || format;
+	return outputFormats.includes(resolved) ? resolved : null;
+}
+
+// File extension of an output format, without the dot
+function getFormatExtension(format) {
+	return (
+		Object.keys(outputFormatAliases).find(
+			(alias) => outputFormatAliases[alias] === format
+		) || format
+	);
+}
+
+// Standalone page of --export html showing `image` (a data URL). `data` holds
+// the image size, its cells and the tile photos; the script pans and zooms the image and
+// finds the cell under the pointer through a grid of buckets. Where cells
+// overlap (hex and brick edges) the one whose center is nearest wins
+function getHtmlViewerPage(title, image, data) {
+	const escapedTitle = title.replace(
+		/[&<>"]/g,
+		(c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c])
+	);
+	const json = JSON.stringify(data).replace(/</g, '\\u003c');
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapedTitle}</title>
+<style>
+html, body { margin: 0; height: 100%; overflow: hidden; background: #111; color: #eee; font: 14px sans-serif; }
+#view { position: absolute; left: 0; top: 0; right: 0; bottom: 0; cursor: crosshair; touch-action: none; }
+#view.dragging { cursor: grabbing; }
+#stage { position: absolute; left: 0; top: 0; transform-origin: 0 0; }
+#stage > img { display: block; user-select: none; -webkit-user-drag: none; }
+#highlight { position: absolute; display: none; box-sizing: border-box; border: 2px solid #fff; outline: 1px solid #000; pointer-events: none; }
+#info { position: absolute; right: 12px; top: 12px; width: ${htmlPreviewSize}px; padding: 10px; border-radius: 6px; background: rgba(0, 0, 0, 0.8); display: none; }
+#info img { display: block; max-width: 100%; max-height: ${htmlPreviewSize}px; margin: 0 auto 8px; }
+#info .name { font-weight: bold; word-break: break-all; }
+#info .details { margin: 4px 0; color: #aaa; font-size: 12px; }
+#info a { color: #8cf; font-size: 12px; }
+#help { position: absolute; left: 12px; bottom: 12px; color: #888; font-size: 12px; }
+</style>
+</head>
+<body>
+<div id="view"><div id="stage"><img id="mosaic" alt="${escapedTitle}" src="${image}"><div id="highlight"></div></div></div>
+<div id="info"><img id="photo" alt=""><div class="name"></div><div class="details"></div><a target="_blank">Open original</a></div>
+<div id="help">Drag to pan, scroll to zoom, click a tile to pin it (Esc to release, 0 to fit)</div>
+<script type="application/json" id="data">${json}</script>
+<script>
+(function () {
+	var data = JSON.parse(document.getElementById('data').textContent);
+	var view = document.getElementById('view');
+	var stage = document.getElementById('stage');
+	var highlight = document.getElementById('highlight');
+	var info = document.getElementById('info');
+	var photo = document.getElementById('photo');
+	var zoom = 1;
+	var panX = 0;
+	var panY = 0;
+	var hovered = -1;
+	var pinned = -1;
+	var drag = null;
+
+	var bucketSize = 1;
+	data.cells.forEach(function (cell) {
+		bucketSize = Math.max(bucketSize, cell[2], cell[3]);
+	});
+	var buckets = {};
+	data.cells.forEach(function (cell, i) {
+		for (var by = Math.floor(cell[1] / bucketSize); by <= Math.floor((cell[1] + cell[3] - 1) / bucketSize); by++) {
+			for (var bx = Math.floor(cell[0] / bucketSize); bx <= Math.floor((cell[0] + cell[2] - 1) / bucketSize); bx++) {
+				(buckets[bx + ',' + by] = buckets[bx + ',' + by] || []).push(i);
+			}
+		}
+	});
+
+	function cellAt(x, y) {
+		var best = -1;
+		var bestDistance = Infinity;
+		(buckets[Math.floor(x / bucketSize) + ',' + Math.floor(y / bucketSize)] || []).forEach(function (i) {
+			var cell = data.cells[i];
+			if (x < cell[0] || y < cell[1] || x >= cell[0] + cell[2] || y >= cell[1] + cell[3]) {
+				return;
+			}
+			var dx = x - cell[0] - cell[2] / 2;
+			var dy = y - cell[1] - cell[3] / 2;
+			if (dx * dx + dy * dy < bestDistance) {
+				best = i;
+				bestDistance = dx * dx + dy * dy;
+			}
+		});
+		return best;
+	}
+
+	function update() {
+		stage.style.transform = 'translate(' + panX + 'px, ' + panY + 'px) scale(' + zoom + ')';
+		highlight.style.borderWidth = 2 / zoom + 'px';
+		highlight.style.outlineWidth = 1 / zoom + 'px';
+	}
+
+	function fit() {
+		zoom = Math.min(view.clientWidth / data.width, view.clientHeight / data.height);
+		panX = (view.clientWidth - data.width * zoom) / 2;
+		panY = (view.clientHeight - data.height * zoom) / 2;
+		update();
+	}
+
+	function show() {
+		var i = pinned >= 0 ? pinned : hovered;
+		if (i < 0) {
+			highlight.style.display = 'none';
+			info.style.display = 'none';
+			return;
+		}
+		var cell = data.cells[i];
+		var tile = data.photos[cell[4]];
+		highlight.style.left = cell[0] + 'px';
+		highlight.style.top = cell[1] + 'px';
+		highlight.style.width = cell[2] + 'px';
+		highlight.style.height = cell[3] + 'px';
+		highlight.style.display = 'block';
+		photo.src = tile.src || tile.href;
+		info.querySelector('.name').textContent = tile.name;
+		info.querySelector('.details').textContent = [
+			cell[5] ? 'Variant: ' + cell[5] : '',
+			cell[6] === null ? '' : 'Match error: ' + cell[6] + ' (' + data.colorMetric + ')',
+			pinned >= 0 ? 'Pinned' : ''
+		].filter(Boolean).join(' \\u00b7 ');
+		info.querySelector('a').href = tile.href;
+		info.style.display = 'block';
+	}
+
+	function pointAt(event) {
+		var rect = view.getBoundingClientRect();
+		return {
+			x: (event.clientX - rect.left - panX) / zoom,
+			y: (event.clientY - rect.top - panY) / zoom
+		};
+	}
+
+	view.addEventListener('pointerdown', function (event) {
+		drag = { x: event.clientX, y: event.clientY, panX: panX, panY: panY, moved: false };
+		view.setPointerCapture(event.pointerId);
+	});
+	view.addEventListener('pointermove', function (event) {
+		if (drag) {
+			var dx = event.clientX - drag.x;
+			var dy = event.clientY - drag.y;
+			if (Math.abs(dx) + Math.abs(dy) > 3) {
+				drag.moved = true;
+				view.classList.add('dragging');
+			}
+			panX = drag.panX + dx;
+			panY = drag.panY + dy;
+			update();
+			return;
+		}
+		var point = pointAt(event);
+		var i = cellAt(point.x, point.y);
+		if (i !== hovered) {
+			hovered = i;
+			show();
+		}
+	});
+	view.addEventListener('pointerup', function (event) {
+		var moved = drag && drag.moved;
+		drag = null;
+		view.classList.remove('dragging');
+		if (!moved) {
+			var point = pointAt(event);
+			hovered = cellAt(point.x, point.y);
+			pinned = hovered === pinned ? -1 : hovered;
+			show();
+		}
+	});
+	view.addEventListener('pointerleave', function () {
+		if (!drag) {
+			hovered = -1;
+			show();
+		}
+	});
+	view.addEventListener('wheel', function (event) {
+		event.preventDefault();
+		var rect = view.getBoundingClientRect();
+		var x = event.clientX - rect.left;
+		var y = event.clientY - rect.top;
+		var next = Math.min(Math.max(zoom * Math.exp(-event.deltaY * 0.002), 0.01), 64);
+		panX = x - ((x - panX) * next) / zoom;
+		panY = y - ((y - panY) * next) / zoom;
+		zoom = next;
+		update();
+	}, { passive: false });
+	document.addEventListener('keydown', function (event) {
+		if (event.key === 'Escape') {
+			pinned = -1;
+			show();
+		} else if (event.key === '0') {
+			fit();
+		}
+	});
+	fit();
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+// Mean structural similarity (SSIM) of two single-channel images, over 8x8
+// windows every 4 pixels
+function getSsim(data1, data2, width, height) {
+	const windowSize = 8;
+	const step = 4;
+	const c1 = Math.pow(0.01 * 255, 2);
+	const c2 = Math.pow(0.03 * 255, 2);
+	const count = windowSize * windowSize;
+	let total = 0;
+	let windows = 0;
+
+	for (let top = 0; top + windowSize <= height; top += step) {
+		for (let left = 0; left + windowSize <= width; left += step) {
+			let sum1 = 0;
+			let sum2 = 0;
+			let sumSq1 = 0;
+			let sumSq2 = 0;
+			let sumProduct = 0;
+			for (let y = top; y < top + windowSize; y++) {
+				for (let x = left; x < left + windowSize; x++) {
+					const a = data1[y * width + x];
+					const b = data2[y * width + x];
+					sum1 += a;
+					sum2 += b;
+					sumSq1 += a * a;
+					sumSq2 += b * b;
+					sumProduct += a * b;
+				}
+			}
+			const mean1 = sum1 / count;
+			const mean2 = sum2 / count;
+			const variance1 = sumSq1 / count - mean1 * mean1;
+			const variance2 = sumSq2 / count - mean2 * mean2;
+			const covariance = sumProduct / count - mean1 * mean2;
+			total +=
+				((2 * mean1 * mean2 + c1) * (2 * covariance + c2)) /
+				((mean1 * mean1 + mean2 * mean2 + c1) * (variance1 + variance2 + c2));
+			windows++;
+		}
+	}
+	return windows > 0 ? total / windows : 1;
+}
+
+// Color of a heatmap value from 0 (blue) through green and yellow to 1 (red)
+function getHeatmapColor(value) {
+	const stops = [
+		[0, 0, 128],
+		[0, 128, 255],
+		[0, 200, 80],
+		[255, 220, 0],
+		[220, 0, 0],
+	];
+	const position = Math.max(0, Math.min(1, value)) * (stops.length - 1);
+	const index = Math.min(stops.length - 2, Math.floor(position));
+	const t = position - index;
+	return stops[index].map((channel, c) =>
+		Math.round(channel + (stops[index + 1][c] - channel) * t)
+	);
+}
+
+// Write a JSON file atomically, so readers never see a partial file
+async function writeJsonFile(filePath, data) {
+	const tempPath = `${filePath}.tmp`;
+	await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+	await fs.rename(tempPath, filePath);
+}
+
+// Halve an RGB image by averaging 2x2 blocks, rounding odd sizes up
+function halveImage(data, width, height) {
+	const halfWidth = Math.ceil(width / 2);
+	const halfHeight = Math.ceil(height / 2);
+	const half = Buffer.alloc(halfWidth * halfHeight * 3);
+	for (let y = 0; y < halfHeight; y++) {
+		const y0 = y * 2;
+		const y1 = Math.min(y0 + 1, height - 1);
+		for (let x = 0; x < halfWidth; x++) {
+			const x0 = x * 2;
+			const x1 = Math.min(x0 + 1, width - 1);
+			for (let c = 0; c < 3; c++) {
+				const sum =
+					data[(y0 * width + x0) * 3 + c] +
+					data[(y0 * width + x1) * 3 + c] +
+					data[(y1 * width + x0) * 3 + c] +
+					data[(y1 * width + x1) * 3 + c];
+				half[(y * halfWidth + x) * 3 + c] = (sum + 2) >> 2;
+			}
+		}
+	}
+	return half;
+}
+
+// PNG chunk: length, type, data and the CRC of type and data
+function getPngChunk(type, data) {
+	const chunk = Buffer.alloc(data.length + 12);
+	chunk.writeUInt32BE(data.length, 0);
+	chunk.write(type, 4, 'ascii');
+	data.copy(chunk, 8);
+	chunk.writeUInt32BE(
+		crc32(chunk.subarray(4, data.length + 8)),
+		data.length + 8
+	);
+	return chunk;
+}
+
+let crc32Table = null;
+
+// CRC-32 as used by PNG and zlib
+function crc32(data) {
+	if (!crc32Table) {
+		crc32Table = new Int32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) {
+				c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			}
+			crc32Table[n] = c;
+		}
+	}
+	let crc = -1;
+	for (let i = 0; i < data.length; i++) {
+		crc = crc32Table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ -1) >>> 0;
+}
+
+// Neighbour closest to left + above - upperLeft, as PNG's Paeth filter
+function paethPredictor(left, above, upperLeft) {
+	const estimate = left + above - upperLeft;
+	const distanceLeft = Math.abs(estimate - left);
+	const distanceAbove = Math.abs(estimate - above);
+	const distanceUpperLeft = Math.abs(estimate - upperLeft);
+	if (distanceLeft <= distanceAbove && distanceLeft <= distanceUpperLeft) {
+		return left;
+	}
+	return distanceAbove <= distanceUpperLeft ? above : upperLeft;
+}
+
+// Size part of tile buffer cache keys: "24" for square tiles, "24x18" otherwise
+function getTileSizeKey(tileSize, tileHeight) {
+	return tileHeight === tileSize ? `${tileSize}` : `${tileSize}x${tileHeight}`;
+}
+
+// Smallest adaptive tile when --min-tile-size isn't given: two halvings
+// below tileSize, or as many as divide it evenly
+function getDefaultMinTileSize(tileSize) {
+	let minTileSize = tileSize;
+	for (let i = 0; i < 2 && minTileSize % 2 === 0; i++) {
+		minTileSize /= 2;
+	}
+	return minTileSize;
+}
+
+// Cell geometry of a --layout. `spacing` and `rowStep` are the distances
+// between neighbouring cell origins along a row and between rows, and
+// tileWidth x tileHeight the size of the tile drawn in each cell. Hex cells
+// are pointy-topped, with their tile padded by a pixel so the masked hexagon
+// always fits inside it
+function getLayoutGeometry(layout, tileSize, tileAspect) {
+	if (layout === 'hex') {
+		const rowStep = Math.max(1, Math.round((tileSize * Math.sqrt(3)) / 2));
+		// Distance from a cell center to its top vertex, equidistant to the
+		// centers of the two cells above it
+		const apex = (tileSize * tileSize) / 4 / (2 * rowStep) + rowStep / 2;
+		return {
+			layout,
+			spacing: tileSize,
+			rowStep,
+			tileWidth: tileSize + 2,
+			tileHeight: 2 * Math.ceil(apex) + 2,
+		};
+	}
+
+	const tileHeight =
+		layout === 'square'
+			? tileSize
+			: Math.max(1, Math.round(tileSize / tileAspect));
+	return {
+		layout,
+		spacing: tileSize,
+		rowStep: tileHeight,
+		tileWidth: tileSize,
+		tileHeight,
+	};
+}
+
+// Lay out the cells of a rect, brick or hex mosaic covering columns x rows
+// cells, in row-major order. Brick and hex rows alternate by half a cell, so
+// shifted rows get an extra cell and edge cells may hang over the border
+function buildLayoutCells(geometry, columns, rows) {
+	const { layout, spacing, rowStep, tileWidth, tileHeight } = geometry;
+	const cells = [];
+
+	if (layout === 'hex') {
+		// Rows are centered on multiples of rowStep, covering the bottom edge too
+		for (let row = 0; row <= rows; row++) {
+			const shifted = row % 2 === 1;
+			const cy = row * rowStep;
+			for (let column = shifted ? -1 : 0; column < columns; column++) {
+				const cx = column * spacing + spacing / 2 + (shifted ? spacing / 2 : 0);
+				cells.push({
+					x: cx - tileWidth / 2,
+					y: cy - tileHeight / 2,
+					width: tileWidth,
+					height: tileHeight,
+					cx,
+					cy,
+					row,
+				});
+			}
+		}
+		return cells;
+	}
+
+	const offset = Math.floor(spacing / 2);
+	for (let row = 0; row < rows; row++) {
+		const shifted = layout === 'brick' && row % 2 === 1;
+		for (let column = 0; column < columns + (shifted ? 1 : 0); column++) {
+			cells.push({
+				x: column * spacing - (shifted ? offset : 0),
+				y: row * rowStep,
+				width: tileWidth,
+				height: tileHeight,
+				row,
+			});
+		}
+	}
+	return cells;
+}
+
+// Whether a point (dx, dy) from a hex cell center is no closer to any of the
+// six neighbouring centers. Ties (within rounding error) count as inside so
+// adjacent cells overlap on their shared edge rather than leaving gaps
+function isInsideHexCell(dx, dy, spacing, rowStep) {
+	const distance = dx * dx + dy * dy;
+	const half = spacing / 2;
+	for (const [nx, ny] of [
+		[spacing, 0],
+		[-spacing, 0],
+		[half, rowStep],
+		[-half, rowStep],
+		[half, -rowStep],
+		[-half, -rowStep],
+	]) {
+		const ex = dx - nx;
+		const ey = dy - ny;
+		if (ex * ex + ey * ey < distance - 1e-6) {
+			return false;
+		}
+	}
+	return true;
+}
+
+// Pixels of a hex tile that fall inside its cell, one byte per pixel
+function getHexMask({ spacing, rowStep, tileWidth, tileHeight }) {
+	const mask = new Uint8Array(tileWidth * tileHeight);
+	for (let y = 0; y < tileHeight; y++) {
+		for (let x = 0; x < tileWidth; x++) {
+			mask[y * tileWidth + x] = isInsideHexCell(
+				x + 0.5 - tileWidth / 2,
+				y + 0.5 - tileHeight / 2,
+				spacing,
+				rowStep
+			)
+				? 1
+				: 0;
+		}
+	}
+	return mask;
+}
+
+// Standard deviation of luminance over an RGB pixel buffer
+function getLuminanceStdDev(pixels) {
+	let sum = 0;
+	let sumSq = 0;
+	const count = pixels.length / 3;
+	for (let i = 0; i < pixels.length; i += 3) {
+		const luminance =
+			0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+		sum += luminance;
+		sumSq += luminance * luminance;
+	}
+	const mean = sum / count;
+	return Math.sqrt(Math.max(0, sumSq / count - mean * mean));
+}
+
+// Convert CIELAB (D65) back to clamped 8-bit sRGB
+function labToRgb(labL, labA, labB) {
+	const fy = (labL + 16) / 116;
+	const fx = fy + labA / 500;
+	const fz = fy - labB / 200;
+	const finv = (t) => (t > 6 / 29 ? t * t * t : (3 * 36 * (t - 4 / 29)) / 841);
+	const x = finv(fx) * 0.95047;
+	const y = finv(fy);
+	const z = finv(fz) * 1.08883;
+
+	const gamma = (c) => {
+		const value =
+			c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+		return Math.max(0, Math.min(255, Math.round(value * 255)));
+	};
+	return {
+		r: gamma(x * 3.2404542 - y * 1.5371385 - z * 0.4985314),
+		g: gamma(-x * 0.969266 + y * 1.8760108 + z * 0.041556),
+		b: gamma(x * 0.0556434 - y * 0.2040259 + z * 1.0572252),
+	};
+}
+
+// Per-channel Lab mean and standard deviation of an RGB pixel list
+function getLabStats(pixels) {
+	const mean = [0, 0, 0];
+	const sumSq = [0, 0, 0];
+	const count = pixels.length / 3;
+	for (let i = 0; i < pixels.length; i += 3) {
+		const { labL, labA, labB } = withLab({
+			r: pixels[i],
+			g: pixels[i + 1],
+			b: pixels[i + 2],
+		});
+		[labL, labA, labB].forEach((value, c) => {
+			mean[c] += value;
+			sumSq[c] += value * value;
+		});
+	}
+	const std = [0, 0, 0];
+	for (let c = 0; c < 3; c++) {
+		mean[c] /= count;
+		std[c] = Math.sqrt(Math.max(0, sumSq[c] / count - mean[c] * mean[c]));
+	}
+	return { mean, std };
+}
+
+// Shift an RGB tile buffer toward a target color by `amount` (0-1):
+//   mean     - add the difference between the target and tile averages
+//   multiply - scale each channel by the target/tile average ratio
+//   reinhard - match Lab mean and spread (Reinhard et al. color transfer)
+function blendTileColors(tileBuffer, target, amount, mode) {
+	const output = Buffer.alloc(tileBuffer.length);
+	const clamp = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+	if (mode === 'reinhard') {
+		const source = getLabStats(tileBuffer);
+		// Without sampled cell statistics, keep the tile's own spread
+		const { labL, labA, labB } = withLab(target);
+		const targetStats = target.labStats || {
+			mean: [labL, labA, labB],
+			std: source.std,
+		};
+		const scale = source.std.map((std, c) =>
+			std > 0 ? targetStats.std[c] / std : 1
+		);
+
+		for (let i = 0; i < tileBuffer.length; i += 3) {
+			const lab = withLab({
+				r: tileBuffer[i],
+				g: tileBuffer[i + 1],
+				b: tileBuffer[i + 2],
+			});
+			const transferred = [lab.labL, lab.labA, lab.labB].map(
+				(value, c) =>
+					value +
+					amount *
+						((value - source.mean[c]) * scale[c] + targetStats.mean[c] - value)
+			);
+			const { r, g, b } = labToRgb(...transferred);
+			output[i] = r;
+			output[i + 1] = g;
+			output[i + 2] = b;
+		}
+		return output;
+	}
+
+	const mean = [0, 0, 0];
+	for (let i = 0; i < tileBuffer.length; i += 3) {
+		mean[0] += tileBuffer[i];
+		mean[1] += tileBuffer[i + 1];
+		mean[2] += tileBuffer[i + 2];
+	}
+	const pixelCount = tileBuffer.length / 3;
+	const targetChannels = [target.r, target.g, target.b];
+	const adjust = mean.map((sum, c) => {
+		const average = sum / pixelCount;
+		return mode === 'multiply'
+			? 1 + amount * ((targetChannels[c] + 1) / (average + 1) - 1)
+			: amount * (targetChannels[c] - average);
+	});
+
+	for (let i = 0; i < tileBuffer.length; i += 3) {
+		for (let c = 0; c < 3; c++) {
+			output[i + c] =
+				mode === 'multiply'
+					? clamp(tileBuffer[i + c] * adjust[c])
+					: clamp(tileBuffer[i + c] + adjust[c]);
+		}
+	}
+	return output;
+}
+
+// Blend an RGB overlay buffer into a base buffer in place
+function blendOverlay(baseBuffer, overlayBuffer, opacity, mode) {
+	const luminance = (r, g, b) => 0.3 * r + 0.59 * g + 0.11 * b;
+
+	// Soft light as defined by the W3C compositing spec, on 0-1 channels
+	const softLight = (base, source) => {
+		if (source <= 0.5) {
+			return base - (1 - 2 * source) * base * (1 - base);
+		}
+		const d =
+			base <= 0.25 ? ((16 * base - 12) * base + 4) * base : Math.sqrt(base);
+		return base + (2 * source - 1) * (d - base);
+	};
+
+	const length = Math.min(baseBuffer.length, overlayBuffer.length);
+	for (let i = 0; i < length; i += 3) {
+		const base = [baseBuffer[i], baseBuffer[i + 1], baseBuffer[i + 2]];
+		const source = [
+			overlayBuffer[i],
+			overlayBuffer[i + 1],
+			overlayBuffer[i + 2],
+		];
+		let blended;
+
+		if (mode === 'soft-light') {
+			blended = base.map(
+				(value, c) => softLight(value / 255, source[c] / 255) * 255
+			);
+		} else if (mode === 'luminosity') {
+			// Base hue and saturation with the overlay's luminosity, clipped back
+			// into gamut while preserving luminosity
+			const lum = luminance(...source);
+			const delta = lum - luminance(...base);
+			blended = base.map((value) => value + delta);
+			const min = Math.min(...blended);
+			const max = Math.max(...blended);
+			if (min < 0) {
+				blended = blended.map(
+					(value) => lum + ((value - lum) * lum) / (lum - min)
+				);
+			}
+			if (max > 255) {
+				blended = blended.map(
+					(value) => lum + ((value - lum) * (255 - lum)) / (max - lum)
+				);
+			}
+		} else {
+			blended = source;
+		}
+
+		for (let c = 0; c < 3; c++) {
+			baseBuffer[i + c] = Math.max(
+				0,
+				Math.min(255, Math.round(base[c] + (blended[c] - base[c]) * opacity))
+			);
+		}
+	}
+}
+
+// CIEDE2000 color difference between two Lab colors
+function deltaE2000(color1, color2) {
+	const { labL: L1, labA: a1, labB: b1 } = color1;
+	const { labL: L2, labA: a2, labB: b2 } = color2;
+	const rad = Math.PI / 180;
+
+	const C1 = Math.hypot(a1, b1);
+	const C2 = Math.hypot(a2, b2);
+	const meanC7 = Math.pow((C1 + C2) / 2, 7);
+	const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + Math.pow(25, 7))));
+
+	const a1p = a1 * (1 + G);
+	const a2p = a2 * (1 + G);
+	const C1p = Math.hypot(a1p, b1);
+	const C2p = Math.hypot(a2p, b2);
+	const hue = (a, b) => {
+		if (a === 0 && b === 0) return 0;
+		const h = Math.atan2(b, a) / rad;
+		return h < 0 ? h + 360 : h;
+	};
+	const h1p = hue(a1p, b1);
+	const h2p = hue(a2p, b2);
+
+	const dLp = L2 - L1;
+	const dCp = C2p - C1p;
+	let dhp = 0;
+	if (C1p * C2p !== 0) {
+		dhp = h2p - h1p;
+		if (dhp > 180) dhp -= 360;
+		else if (dhp < -180) dhp += 360;
+	}
+	const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+	const meanLp = (L1 + L2) / 2;
+	const meanCp = (C1p + C2p) / 2;
+	let meanHp = h1p + h2p;
+	if (C1p * C2p !== 0) {
+		if (Math.abs(h1p - h2p) <= 180) meanHp /= 2;
+		else meanHp = h1p + h2p < 360 ? (meanHp + 360) / 2 : (meanHp - 360) / 2;
+	}
+
+	const T =
+		1 -
+		0.17 * Math.cos((meanHp - 30) * rad) +
+		0.24 * Math.cos(2 * meanHp * rad) +
+		0.32 * Math.cos((3 * meanHp + 6) * rad) -
+		0.2 * Math.cos((4 * meanHp - 63) * rad);
+	const dTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+	const meanCp7 = Math.pow(meanCp, 7);
+	const Rc = 2 * Math.sqrt(meanCp7 / (meanCp7 + Math.pow(25, 7)));
+	const Sl =
+		1 +
+		(0.015 * Math.pow(meanLp - 50, 2)) /
+			Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+	const Sc = 1 + 0.045 * meanCp;
+	const Sh = 1 + 0.015 * meanCp * T;
+	const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+	const l = dLp / Sl;
+	const c = dCp / Sc;
+	const h = dHp / Sh;
+	return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+}
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+const { createFixture, runMosaic, countTileUses } = require('./helpers.cjs');
+
+for (const [name, options, maxUses] of [
+	['--no-reuse', ['--no-reuse'], 1],
+	['--max-uses', ['--max-uses', '3'], 3],
+]) {
+	test(`--adaptive honors ${name}`, async () => {
+		const fixture = await createFixture();
+		try {
+			const manifestPath = path.join(fixture.dir, 'out.json');
+			const { status, output } = runMosaic(
+				[
+					fixture.inputPath,
+					fixture.tilesDir,
+					'out.png',
+					'--adaptive',
+					'--tile-size',
+					'32',
+					'--output-width',
+					'64',
+					'--detail-threshold',
+					'8',
+					'--cache-dir',
+					'cache',
+					'--manifest',
+					manifestPath,
+					...options,
+				],
+				fixture.dir
+			);
+			assert.strictEqual(status, 0, output);
+
+			const uses = countTileUses(manifestPath);
+			const cellCount = Array.from(uses.values()).reduce((a, b) => a + b);
+			assert.ok(cellCount > 2, `expected split cells, got ${cellCount}`);
+			for (const [tilePath, count] of uses) {
+				assert.ok(count <= maxUses, `${tilePath} used ${count} times`);
+			}
+		} finally {
+			fixture.cleanup();
+		}
+	});
+}
+
+for (const [option, value, message] of [
+	['--min-tile-size', '0', /Minimum tile size must be a positive integer/],
+	['--min-tile-size', 'small', /Minimum tile size must be a positive integer/],
+	['--detail-threshold', 'high', /Detail threshold must be a non-negative/],
+	['--detail-threshold', '-1', /Detail threshold must be a non-negative/],
+]) {
+	test(`--adaptive rejects ${option} ${value}`, async () => {
+		const fixture = await createFixture({ tileCount: 4 });
+		try {
+			const { status, output } = runMosaic(
+				[
+					fixture.inputPath,
+					fixture.tilesDir,
+					'out.png',
+					'--adaptive',
+					option,
+					value,
+				],
+				fixture.dir
+			);
+			assert.notStrictEqual(status, 0);
+			assert.match(output, message);
+		} finally {
+			fixture.cleanup();
+		}
+	});
+}
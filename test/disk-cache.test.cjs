@@ -0,0 +1,55 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { createFixture, runMosaic } = require('./helpers.cjs');
+
+test('--cache-max-mb compacts atlases without losing the kept buffers', async () => {
+	const fixture = await createFixture();
+	try {
+		const run = (output, ...options) => {
+			const result = runMosaic(
+				[
+					fixture.inputPath,
+					fixture.tilesDir,
+					output,
+					'--tile-size',
+					'16',
+					'--output-width',
+					'96',
+					'--cache-dir',
+					'cache',
+					...options,
+				],
+				fixture.dir
+			);
+			assert.strictEqual(result.status, 0, result.output);
+			return result.output;
+		};
+
+		// Two tile sizes, then a budget that only fits part of the larger one
+		run('small.png', '--tile-size', '8');
+		run('first.png');
+		const output = run('trimmed.png', '--cache-max-mb', '0.01');
+		assert.match(output, /Evicted \d+ least recently used cached tiles/);
+
+		const atlasPath = path.join(fixture.dir, 'cache', '16.atlas');
+		const index = JSON.parse(fs.readFileSync(`${atlasPath}.json`, 'utf-8'));
+		const entries = Object.values(index.entries);
+		assert.ok(entries.length > 0);
+		assert.strictEqual(
+			fs.statSync(atlasPath).size,
+			entries.length * 16 * 16 * 3
+		);
+
+		// The kept buffers are read back at their new offsets
+		const reread = run('again.png');
+		assert.match(reread, /Disk hits: [1-9]/);
+		assert.deepStrictEqual(
+			fs.readFileSync(path.join(fixture.dir, 'again.png')),
+			fs.readFileSync(path.join(fixture.dir, 'first.png'))
+		);
+	} finally {
+		fixture.cleanup();
+	}
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const sharp = require('sharp');
+const { createFixture, runMosaic } = require('./helpers.cjs');
+
+test('--export iiif writes the single-tile level as the full region', async () => {
+	const fixture = await createFixture({ tileCount: 8 });
+	try {
+		const { status, output } = runMosaic(
+			[
+				fixture.inputPath,
+				fixture.tilesDir,
+				'mosaic.jpg',
+				'--tile-size',
+				'16',
+				'--output-width',
+				'960',
+				'--export',
+				'iiif',
+				'--export-cell-size',
+				'16',
+				'--cache-dir',
+				'cache',
+			],
+			fixture.dir
+		);
+		assert.strictEqual(status, 0, output);
+
+		// 960 x 640 fits in one 256 px tile once halved twice
+		const tileDir = path.join(fixture.dir, 'mosaic');
+		const info = JSON.parse(
+			fs.readFileSync(path.join(tileDir, 'info.json'), 'utf-8')
+		);
+		assert.strictEqual(info.width, 960);
+		const fullPath = path.join(tileDir, 'full', '240,160', '0', 'default.jpg');
+		const regionPath = path.join(
+			tileDir,
+			'0,0,960,640',
+			'240,160',
+			'0',
+			'default.jpg'
+		);
+		const metadata = await sharp(fullPath).metadata();
+		assert.deepStrictEqual([metadata.width, metadata.height], [240, 160]);
+		assert.deepStrictEqual(
+			fs.readFileSync(fullPath),
+			fs.readFileSync(regionPath)
+		);
+	} finally {
+		fixture.cleanup();
+	}
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const sharp = require('sharp');
+
+const mainPath = path.join(__dirname, '..', 'main.cjs');
+
+// Temporary directory with a gradient input image and a library of
+// solid-color tiles, removed by the returned cleanup function
+async function createFixture({ tileCount = 64, width = 96, height = 64 } = {}) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoomsaic-test-'));
+	const tilesDir = path.join(dir, 'tiles');
+	fs.mkdirSync(tilesDir);
+
+	const input = Buffer.alloc(width * height * 3);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const i = (y * width + x) * 3;
+			input[i] = Math.round((x / width) * 255);
+			input[i + 1] = Math.round((y / height) * 255);
+			input[i + 2] = (x * y) % 256;
+		}
+	}
+	const inputPath = path.join(dir, 'input.png');
+	await sharp(input, { raw: { width, height, channels: 3 } })
+		.png()
+		.toFile(inputPath);
+
+	for (let i = 0; i < tileCount; i++) {
+		await sharp({
+			create: {
+				width: 16,
+				height: 16,
+				channels: 3,
+				background: {
+					r: (i * 37) % 256,
+					g: (i * 91) % 256,
+					b: (i * 53) % 256,
+				},
+			},
+		})
+			.png()
+			.toFile(path.join(tilesDir, `t${i}.png`));
+	}
+
+	return {
+		dir,
+		inputPath,
+		tilesDir,
+		cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+	};
+}
+
+// Run main.cjs in `cwd`, returning its exit status and output
+function runMosaic(args, cwd) {
+	const result = spawnSync(process.execPath, [mainPath, ...args], {
+		cwd,
+		encoding: 'utf-8',
+		timeout: 300000,
+		env: process.env,
+	});
+	return {
+		status: result.status,
+		output: `${result.stdout}${result.stderr}`,
+	};
+}
+
+// Number of cells each tile fills in a --manifest
+function countTileUses(manifestPath) {
+	const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+	const uses = new Map();
+	for (const cell of manifest.cells) {
+		uses.set(cell.path, (uses.get(cell.path) || 0) + 1);
+	}
+	return uses;
+}
+
+module.exports = { createFixture, runMosaic, countTileUses };
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { createFixture, runMosaic } = require('./helpers.cjs');
+
+test('--manifest and --from-pattern create the manifest directory', async () => {
+	const fixture = await createFixture({ tileCount: 8 });
+	try {
+		const manifestPath = path.join('out', 'first', 'mosaic.json');
+		let run = runMosaic(
+			[
+				fixture.inputPath,
+				fixture.tilesDir,
+				'out.png',
+				'--tile-size',
+				'16',
+				'--output-width',
+				'64',
+				'--manifest',
+				manifestPath,
+			],
+			fixture.dir
+		);
+		assert.strictEqual(run.status, 0, run.output);
+		assert.ok(fs.existsSync(path.join(fixture.dir, manifestPath)));
+
+		const patternManifestPath = path.join('out', 'second', 'mosaic.json');
+		run = runMosaic(
+			[
+				fixture.inputPath,
+				fixture.tilesDir,
+				'again.png',
+				'--from-pattern',
+				manifestPath,
+				'--manifest',
+				patternManifestPath,
+			],
+			fixture.dir
+		);
+		assert.strictEqual(run.status, 0, run.output);
+		assert.ok(fs.existsSync(path.join(fixture.dir, patternManifestPath)));
+	} finally {
+		fixture.cleanup();
+	}
+});
@@ -0,0 +1,38 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { createFixture, runMosaic } = require('./helpers.cjs');
+
+test('--report measures streamed outputs over the sharp pixel limit', async () => {
+	const fixture = await createFixture({ tileCount: 8 });
+	try {
+		// 20480 x 13824 pixels, above the default limit of 16383 x 16383
+		const { status, output } = runMosaic(
+			[
+				fixture.inputPath,
+				fixture.tilesDir,
+				'huge.png',
+				'--tile-size',
+				'512',
+				'--output-width',
+				'20480',
+				'--stream',
+				'--report',
+				'report.json',
+				'--cache-dir',
+				'cache',
+			],
+			fixture.dir
+		);
+		assert.strictEqual(status, 0, output);
+
+		const report = JSON.parse(
+			fs.readFileSync(path.join(fixture.dir, 'report.json'), 'utf-8')
+		);
+		assert.strictEqual(report.width * report.height, 20480 * 13824);
+		assert.ok(report.ssim.value > 0 && report.ssim.value <= 1);
+	} finally {
+		fixture.cleanup();
+	}
+});
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const sharp = require('sharp');
+const { createFixture, runMosaic } = require('./helpers.cjs');
+
+async function readPixels(imagePath) {
+	return sharp(imagePath).raw().toBuffer({ resolveWithObject: true });
+}
+
+// Streamed files differ from in-memory ones byte for byte, since the strip
+// encoders filter and compress rows differently, so their pixels are compared
+for (const format of ['png', 'tif']) {
+	test(`--stream writes the same ${format} pixels as in memory`, async () => {
+		const fixture = await createFixture();
+		try {
+			const args = (outputPath) => [
+				fixture.inputPath,
+				fixture.tilesDir,
+				outputPath,
+				'--tile-size',
+				'16',
+				'--output-width',
+				'96',
+			];
+			let run = runMosaic(args(`memory.${format}`), fixture.dir);
+			assert.strictEqual(run.status, 0, run.output);
+			run = runMosaic([...args(`streamed.${format}`), '--stream'], fixture.dir);
+			assert.strictEqual(run.status, 0, run.output);
+			assert.match(run.output, /Writing strip/);
+
+			const [memory, streamed] = await Promise.all(
+				['memory', 'streamed'].map((name) =>
+					readPixels(path.join(fixture.dir, `${name}.${format}`))
+				)
+			);
+			assert.deepStrictEqual(streamed.info, memory.info);
+			assert.ok(streamed.data.equals(memory.data), 'pixels differ');
+		} finally {
+			fixture.cleanup();
+		}
+	});
+}
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const sharp = require('sharp');
+const { createFixture, runMosaic } = require('./helpers.cjs');
+
+async function writeSolidTile(tilePath, background) {
+	await sharp({ create: { width: 16, height: 16, channels: 3, background } })
+		.png()
+		.toFile(tilePath);
+}
+
+test('a changed tile photo replaces its cached buffers', async () => {
+	const fixture = await createFixture({ tileCount: 0 });
+	try {
+		const tilePath = path.join(fixture.tilesDir, 'a.png');
+		const args = [
+			fixture.inputPath,
+			fixture.tilesDir,
+			'out.png',
+			'--tile-size',
+			'16',
+			'--output-width',
+			'32',
+			'--cache-dir',
+			'cache',
+		];
+		const outputPath = path.join(fixture.dir, 'out.png');
+
+		await writeSolidTile(tilePath, { r: 100, g: 150, b: 199 });
+		let run = runMosaic(args, fixture.dir);
+		assert.strictEqual(run.status, 0, run.output);
+
+		// A different color, with the modification time moved on so the scan
+		// sees the change even on filesystems with coarse timestamps
+		await writeSolidTile(tilePath, { r: 20, g: 200, b: 40 });
+		const later = new Date(Date.now() + 5000);
+		fs.utimesSync(tilePath, later, later);
+		run = runMosaic(args, fixture.dir);
+		assert.strictEqual(run.status, 0, run.output);
+		assert.match(run.output, /1 changed/);
+
+		const { channels } = await sharp(outputPath).stats();
+		assert.deepStrictEqual(
+			channels.slice(0, 3).map((channel) => Math.round(channel.mean)),
+			[20, 200, 40]
+		);
+	} finally {
+		fixture.cleanup();
+	}
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { createFixture, runMosaic } = require('./helpers.cjs');
+
+test('the CSV tile index is a plain table with its settings in a sidecar', async () => {
+	const fixture = await createFixture({ tileCount: 8 });
+	try {
+		const args = (tileSize) => [
+			fixture.inputPath,
+			fixture.tilesDir,
+			'out.png',
+			'--tile-size',
+			tileSize,
+			'--output-width',
+			'64',
+		];
+		let run = runMosaic(args('16'), fixture.dir);
+		assert.strictEqual(run.status, 0, run.output);
+
+		const indexPath = path.join(fixture.tilesDir, 'tiles.csv');
+		const lines = fs.readFileSync(indexPath, 'utf-8').split('\r\n');
+		assert.match(lines[0], /^path,r,g,b,/);
+		assert.strictEqual(lines.filter((line) => line).length, 9);
+		const meta = JSON.parse(fs.readFileSync(`${indexPath}.json`, 'utf-8'));
+		assert.strictEqual(meta.format, 'zoomsaic-tiles');
+		assert.strictEqual(meta.tileSize, '16');
+		assert.ok(!fs.existsSync(`${indexPath}.partial.json`));
+
+		run = runMosaic(args('16'), fixture.dir);
+		assert.strictEqual(run.status, 0, run.output);
+		assert.match(run.output, /Loaded 8 tiles from cache/);
+		assert.doesNotMatch(run.output, /different settings/);
+
+		run = runMosaic(args('8'), fixture.dir);
+		assert.strictEqual(run.status, 0, run.output);
+		assert.match(run.output, /different settings/);
+	} finally {
+		fixture.cleanup();
+	}
+});
+
+test('tile paths keep their leading and trailing spaces', async () => {
+	const fixture = await createFixture({ tileCount: 4 });
+	try {
+		// A relative tiles directory whose name starts with a space, so every
+		// path in the index does too
+		fs.renameSync(fixture.tilesDir, path.join(fixture.dir, ' tiles'));
+		const args = [
+			fixture.inputPath,
+			' tiles',
+			'out.png',
+			'--tile-size',
+			'16',
+			'--output-width',
+			'64',
+		];
+		let run = runMosaic(args, fixture.dir);
+		assert.strictEqual(run.status, 0, run.output);
+
+		run = runMosaic(args, fixture.dir);
+		assert.strictEqual(run.status, 0, run.output);
+		assert.match(run.output, /0 added, 0 changed, 0 removed/);
+	} finally {
+		fixture.cleanup();
+	}
+});